@@ -3,18 +3,21 @@
  * Author: Your Name
  * 
  * Three.js-based 3D model viewer with IBL lighting, turntable animation,
- * and high-quality rendering for GLB, GLTF, and FBX formats.
+ * and high-quality rendering for GLB, GLTF, FBX, OBJ, STL, PLY, 3MF and USDZ formats.
  */
 
+// Output size until the user (or Chatooly) picks another one
+const DEFAULT_OUTPUT_SIZE = { width: 1920, height: 1080 };
+
 // ========== CANVAS INITIALIZATION ==========
 // CRITICAL: Set canvas dimensions BEFORE Chatooly CDN initializes
 // This prevents the canvas from defaulting to 150x300px (browser default)
 (function() {
     const canvas = document.getElementById('chatooly-canvas');
     if (canvas) {
-        canvas.width = 1920;   // HD resolution width (1920x1080)
-        canvas.height = 1080;  // HD resolution height
-        console.log('✅ Canvas pre-initialized to Full HD: 1920x1080 (before Chatooly CDN)');
+        canvas.width = DEFAULT_OUTPUT_SIZE.width;
+        canvas.height = DEFAULT_OUTPUT_SIZE.height;
+        console.log(`✅ Canvas pre-initialized to ${canvas.width}x${canvas.height} (before Chatooly CDN)`);
     } else {
         console.warn('⚠️ Canvas not found during pre-initialization. It will be initialized later.');
     }
@@ -24,27 +27,206 @@ class ModelViewer {
     constructor() {
         // Canvas and rendering
         this.canvas = document.getElementById('chatooly-canvas');
+        this.outputWidth = DEFAULT_OUTPUT_SIZE.width; // Render/export size (CSS pixels, before pixel ratio)
+        this.outputHeight = DEFAULT_OUTPUT_SIZE.height;
+        this.outputSizePresets = {
+            hd: { width: 1920, height: 1080 },
+            square: { width: 1080, height: 1080 },
+            portrait: { width: 1080, height: 1350 }, // 4:5
+            story: { width: 1080, height: 1920 } // 9:16
+        };
+        this.maxOutputSize = 8192;
+        this.maxRenderTileSize = 4096; // Larger drawing buffers are often clamped by the browser
+        this.postEffectScale = 1; // Full export width / rendered tile width (keeps pixel-sized effects consistent)
+        this.exportSamples = 4; // Jittered samples averaged per exported pixel
+        this.maxExportShadowMapSize = 8192;
+        this.accumulationTarget = null; // Supersampling sum (created on first export)
+        this.accumulationQuad = null;
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         
-        // Model and transforms
-        this.currentModel = null;
-        this.modelContainer = null; // Container for transforms
+        // Stage objects (several models share the scene; see createStageObject)
+        this.stage = null; // Group holding one transform container per object
+        this.stageObjects = [];
+        this.activeObject = null; // Object the transform sliders, panels and animation act on
+        this.stageObjectCount = 0; // Id counter
+        this.layoutSpacing = 0.25; // Gap between objects in world units (models auto-scale to ~2)
+        this.transformEditStart = null; // Active object's transform when a slider drag started
+        this.modelLoadId = 0; // Incremented per load, gives each load its own progress task
+        this.hdriLoadId = 0; // Incremented per HDRI load, only the latest one is applied
+
+        // Scene graph inspector
+        this.selectedObject = null;
+        this.selectionHelper = null; // BoxHelper around the selection (never exported)
+        this.sceneTreeExpanded = new Set(); // uuids of expanded tree rows
+        this.sceneTreeRows = new Map(); // Object3D -> { row, checkbox }
+        this.raycaster = new THREE.Raycaster();
+        this.pointerDownPosition = null;
+
+        // Materials panel
+        this.materialLook = 'original'; // Applies to every stage object
+        this.materialLooks = {
+            clay: { label: 'Clay', params: { color: 0xc9bfb4, roughness: 0.9, metalness: 0 } },
+            chrome: { label: 'Chrome', params: { color: 0xffffff, roughness: 0.05, metalness: 1 } },
+            glass: { label: 'Frosted Glass', physical: true, params: { color: 0xffffff, roughness: 0.35, metalness: 0, transmission: 1, thickness: 0.5, ior: 1.5 } },
+            matteWhite: { label: 'Matte White', params: { color: 0xf2f2f2, roughness: 1, metalness: 0 } }
+        };
+        // Editor control id -> material property
+        this.materialControls = {
+            'material-color': { property: 'color', label: 'Base color' },
+            'material-metalness': { property: 'metalness', label: 'Metalness', decimals: 2 },
+            'material-roughness': { property: 'roughness', label: 'Roughness', decimals: 2 },
+            'material-emissive': { property: 'emissive', label: 'Emissive' },
+            'material-emissive-intensity': { property: 'emissiveIntensity', label: 'Emissive intensity', decimals: 1 },
+            'material-opacity': { property: 'opacity', label: 'Opacity', decimals: 2 },
+            'material-transmission': { property: 'transmission', label: 'Transmission', decimals: 2 }
+        };
+        this.materialEditStart = null; // Value before the current slider drag
+
+        // Diagnostic render modes (materials are swapped only while rendering)
+        this.renderMode = 'shaded';
+        this.renderModeMaterials = new Map(); // Source material -> diagnostic material for the current mode
+        this.wireframeOverlays = new Map(); // Mesh -> wireframe copy (wireframe-on-shaded)
+        this.wireframeMaterial = null;
+        this.overdrawMaterial = null;
+        this.uvCheckerTexture = null;
+        this.matcapTexture = null;
+        this.depthViewUniforms = {
+            depthNear: { value: 0 },
+            depthFar: { value: 1 }
+        };
+
+        // Statistics and performance budgets
+        this.modelStats = null;
+        this.units = { m: 1, cm: 0.01, mm: 0.001, in: 0.0254, ft: 0.3048 }; // Metres per unit
+        this.modelUnitOverride = 'auto';
+        this.budgetsStorageKey = 'model-viewer-budgets';
+        this.budgetPresets = {
+            web: { triangles: 300000, drawCalls: 100, textureSize: 4096, textureMemory: 128 },
+            ar: { triangles: 100000, drawCalls: 50, textureSize: 2048, textureMemory: 64 }
+        };
+        this.budgets = { preset: 'web', ...this.budgetPresets.web }; // textureMemory in MB
+
+        // Camera controls and saved views
+        this.controls = null;
+        this.cameraViewsStorageKey = 'model-viewer-camera-views';
+        this.currentCameraView = 'front';
+
+        // Built-in camera views (position, orbit target, vertical FOV)
+        this.defaultCameraViews = {
+            front: { position: [0, 0, 5], target: [0, 0, 0], fov: 45 },
+            'three-quarter': { position: [3.4, 1.6, 3.4], target: [0, 0, 0], fov: 45 },
+            'low-angle': { position: [2.2, -1.2, 4.3], target: [0, 0.2, 0], fov: 40 },
+            top: { position: [0, 4.9, 1], target: [0, 0, 0], fov: 45 }
+        };
+
+        // User-saved camera views (persisted in localStorage)
+        this.savedCameraViews = {};
         
         // Animation
         this.turntableEnabled = false;
-        this.turntableSpeed = 1.0;
+        this.turntableSpeed = 36; // Degrees per second
+        this.turntableAxis = 'y'; // World axis the model spins about
+        this.turntableMode = 'spin'; // 'spin' (full turns) | 'pingpong' (back and forth over an arc)
+        this.turntableArc = 60; // Ping-pong arc in degrees, centered on the starting orientation
+        this.turntableEasing = 'sine'; // 'linear' | 'sine' | 'cubic'
+        this.turntableTarget = 'model'; // 'model' | 'camera' (orbit the camera, lighting stays fixed to the model)
+        this.turntableProgress = 0; // Position within the current cycle (0..1)
+        this.turntableQuaternion = new THREE.Quaternion(); // Model turntable offset, on top of the rotation sliders
         this.animationFrameId = null;
+        this.clock = new THREE.Clock(); // Frame delta for time-based playback
+
+        // Embedded animation clips (glTF/FBX; each stage object has its own player)
+        this.animationSpeed = 1.0;
+        this.animationLoopMode = 'repeat'; // 'repeat' | 'once' | 'pingpong'
+
+        // Offline turntable loop export (live updates pause while it runs)
+        this.loopExport = null; // { cancelled } while exporting
         
         // Background rendering context (for Chatooly background system)
         this.backgroundCanvas = null;
         this.backgroundCtx = null;
+        this.backgroundImageFile = null; // Uploaded background image (for project files)
+
+        // On-canvas status: progress bars and error panel
+        this.progressOverlay = null;
+        this.errorPanel = null;
+        this.loadingTasks = new Map(); // Task id -> { label, fraction (null = unknown) }
+
+        // Scene state (project files and share links)
+        this.sceneStateVersion = 2;
+        this.pendingObjectTransforms = []; // Saved transforms for the next model loads, in order
+
+        // Post-processing (EffectComposer is only used while an effect is enabled)
+        this.composer = null;
+        this.renderPass = null;
+        this.outputPass = null;
+        this.postPasses = {}; // Effect id -> pass (created on first use)
+        this.postProcessingActive = false;
+        this.postEffects = {
+            ssao: { enabled: false, radius: 0.3, maxDistance: 0.5 }, // World units
+            dof: { enabled: false, autoFocus: true, focus: 5, aperture: 0.01, maxBlur: 0.01 },
+            bloom: { enabled: false, strength: 0.6, radius: 0.4, threshold: 0.85 },
+            sharpen: { enabled: false, amount: 0.3 }
+        };
+        // Pipeline order; 'output' (tone mapping + sRGB) always runs, sharpen works on display values
+        this.postEffectOrder = ['ssao', 'dof', 'bloom', 'output', 'sharpen'];
+        // Control id -> [effect, setting, decimals shown]
+        this.postEffectControls = {
+            'fx-ssao-enabled': ['ssao', 'enabled'],
+            'fx-ssao-radius': ['ssao', 'radius', 2],
+            'fx-ssao-distance': ['ssao', 'maxDistance', 2],
+            'fx-dof-enabled': ['dof', 'enabled'],
+            'fx-dof-autofocus': ['dof', 'autoFocus'],
+            'fx-dof-focus': ['dof', 'focus', 1],
+            'fx-dof-aperture': ['dof', 'aperture', 3],
+            'fx-dof-maxblur': ['dof', 'maxBlur', 3],
+            'fx-bloom-enabled': ['bloom', 'enabled'],
+            'fx-bloom-strength': ['bloom', 'strength', 2],
+            'fx-bloom-radius': ['bloom', 'radius', 2],
+            'fx-bloom-threshold': ['bloom', 'threshold', 2],
+            'fx-sharpen-enabled': ['sharpen', 'enabled'],
+            'fx-sharpen-amount': ['sharpen', 'amount', 2]
+        };
+
+        // Undo/redo history: commands are { label, undo(), redo() }
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 100;
+        this.historyLock = 0; // > 0 while undoing/redoing so replayed changes aren't recorded
+        this.historyControlValues = new Map(); // Control id -> last committed value
+
+        // Controls whose changes are recorded (sliders commit one step per drag on 'change')
+        // The transform sliders are recorded per object (see setupTransformHistory)
+        this.historyControls = [
+            'camera-fov', 'tone-mapping', 'exposure',
+            'hdri-preset', 'hdri-background-visible', 'hdri-intensity', 'hdri-rotation',
+            'sun-enabled', 'sun-intensity', 'sun-auto-match', 'sun-secondary-lights', 'shadow-quality',
+            'ground-enabled', 'ground-shadow-opacity', 'contact-shadows-enabled', 'contact-shadow-opacity', 'contact-shadow-blur',
+            ...Object.keys(this.postEffectControls),
+            'transparent-bg', 'bg-color', 'bg-fit',
+            'turntable-toggle', 'turntable-speed', 'turntable-axis', 'turntable-mode', 'turntable-arc',
+            'turntable-easing', 'turntable-target', 'material-look', 'render-mode'
+        ];
 
         // HDRI environment
         this.pmremGenerator = null;
         this.currentHDRI = null;
         this.hdriIntensity = 1.0;
+
+        // Tone mapping (same in every background mode; the Chatooly layer is never tone mapped)
+        this.toneMapping = 'none';
+        this.exposure = 1.0;
+        this.toneMappingModes = {
+            none: THREE.NoToneMapping,
+            linear: THREE.LinearToneMapping,
+            reinhard: THREE.ReinhardToneMapping,
+            cineon: THREE.CineonToneMapping,
+            aces: THREE.ACESFilmicToneMapping,
+            agx: THREE.AgXToneMapping,
+            neutral: THREE.NeutralToneMapping
+        };
         this.hdriRotation = 0;
         this.hdriBackgroundVisible = false; // Off by default
 
@@ -59,7 +241,25 @@ class ModelViewer {
         this.sunDirection = new THREE.Vector3(0, 1, 0); // Default: top-down
         this.sunIntensity = 2.0;
         this.sunEnabled = true;
+        this.sunColor = new THREE.Color(0xffffff);
+        this.sunAutoMatch = true; // Derive sun color, intensity and softness from the HDRI
+        this.secondaryLightsEnabled = false;
+        this.secondaryLights = []; // Directional lights for the next-brightest HDRI lobes
+        this.hdriLighting = null; // Latest HDRI lobe analysis
+        this.hdriAnalysisCache = {}; // Preset key -> lobe analysis
         this.shadowQuality = 2048; // Shadow map resolution
+
+        // Shadow catcher ground (follows the model's bounding-box bottom)
+        this.groundEnabled = false;
+        this.groundShadowOpacity = 0.5;
+        this.contactShadowsEnabled = false;
+        this.contactShadowOpacity = 0.6;
+        this.contactShadowBlur = 3;
+        this.contactShadowResolution = 512;
+        this.groundGroup = null;
+        this.groundNeedsUpdate = true; // Re-fit after loads and transform changes
+        this.groundAnimationInterval = 0.2; // Seconds between re-fits while clips play
+        this.groundAnimationTimer = 0;
         
         // HDRI presets (Premium quality from Poly Haven - 2K resolution for better quality)
         this.hdriPresets = {
@@ -72,43 +272,100 @@ class ModelViewer {
             urban: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/hdr/2k/urban_alley_01_2k.hdr'
         };
 
+        // Offline environments generated in code (no network needed)
+        // Sun azimuth is the equirect longitude in degrees, elevation is above the horizon
+        this.proceduralEnvironments = {
+            'studio-offline': {
+                type: 'studio',
+                sun: { azimuth: 35, elevation: 40 }
+            },
+            'sky-offline': {
+                type: 'sky',
+                sun: { azimuth: 60, elevation: 50 },
+                zenith: [0.22, 0.42, 0.85],
+                horizon: [0.85, 0.9, 1.0],
+                ground: [0.22, 0.2, 0.18],
+                sunColor: [1.0, 0.95, 0.88],
+                sunStrength: 1500
+            },
+            'sunset-offline': {
+                type: 'sky',
+                sun: { azimuth: 20, elevation: 4 },
+                zenith: [0.18, 0.22, 0.45],
+                horizon: [1.3, 0.62, 0.32],
+                ground: [0.12, 0.09, 0.08],
+                sunColor: [1.0, 0.55, 0.25],
+                sunStrength: 800
+            }
+        };
+
+        // Low-resolution copies bundled with the app (see assets/hdri/README.md)
+        this.localHDRIs = {
+            'studio-local': { name: 'Studio (bundled)', url: 'assets/hdri/studio.exr' },
+            'sunset-local': { name: 'Venice Sunset (bundled)', url: 'assets/hdri/sunset.exr' },
+            'outdoor-local': { name: 'Outdoor (bundled)', url: 'assets/hdri/outdoor.exr' },
+            'warehouse-local': { name: 'Sunrise (bundled)', url: 'assets/hdri/warehouse.exr' },
+            'night-local': { name: 'Night (bundled)', url: 'assets/hdri/night.exr' },
+            'autumn-local': { name: 'Forest (bundled)', url: 'assets/hdri/autumn.exr' },
+            'urban-local': { name: 'City (bundled)', url: 'assets/hdri/urban.exr' }
+        };
+
+        // Next environment to try when a preset can't be fetched:
+        // remote preset -> bundled copy -> generated environment
+        this.hdriFallbacks = {
+            studio: 'studio-local',
+            sunset: 'sunset-local',
+            outdoor: 'outdoor-local',
+            warehouse: 'warehouse-local',
+            night: 'night-local',
+            autumn: 'autumn-local',
+            urban: 'urban-local',
+            'studio-local': 'studio-offline',
+            'sunset-local': 'sunset-offline',
+            'outdoor-local': 'sky-offline',
+            'warehouse-local': 'sunset-offline',
+            'night-local': 'studio-offline',
+            'autumn-local': 'sky-offline',
+            'urban-local': 'sky-offline'
+        };
+
+        // User-uploaded HDRIs: key -> { name, url (blob), format ('hdr' | 'exr') }
+        this.customHDRIs = {};
+        this.customHDRICount = 0;
+
         // Manually calibrated sun positions (accurate UV coordinates from calibration tool)
         // Calibration date: 2025-10-21T15:32:34.875Z
+        // UVs are in image space (v = 0 at the top row); directions are derived from them
         this.hdriSunPositions = {
             studio: {
-                uv: [0.5379793510324484, 0.4930862831858407],
-                direction: [0.23631718059217147, -0.021718374207907128, 0.9714332207510367]
+                uv: [0.5379793510324484, 0.4930862831858407]
             },
             sunset: {
-                uv: [0.5859144542772862, 0.47022492625368734],
-                direction: [0.5117315358156711, -0.09340479924989314, 0.8540529133073791]
+                uv: [0.5859144542772862, 0.47022492625368734]
             },
             outdoor: {
-                uv: [0.5918141592920354, 0.24234882005899705],
-                direction: [0.37628660383620194, -0.7238975294890294, 0.5782566545860904]
+                uv: [0.5918141592920354, 0.24234882005899705]
             },
             warehouse: {
-                uv: [0.5527286135693216, 0.4746497050147493],
-                direction: [0.3242450616340675, -0.07955613972374084, 0.9426218545303182]
+                uv: [0.5527286135693216, 0.4746497050147493]
             },
             night: {
-                uv: [0.5542035398230089, 0.2718473451327434],
-                direction: [0.251833791678793, -0.6569474036647028, 0.7106334147694495]
+                uv: [0.5542035398230089, 0.2718473451327434]
             },
             autumn: {
-                uv: [0.7230825958702065, 0.09854351032448377],
-                direction: [0.30031513481164146, -0.9524605234566362, 0.05128129346824372]
+                uv: [0.7230825958702065, 0.09854351032448377]
             },
             urban: {
-                uv: [0.5114306784660767, 0.3662426253687316],
-                direction: [0.06551648024816516, -0.40795327511423385, 0.9106490631079911]
+                uv: [0.5114306784660767, 0.3662426253687316]
             }
         };
         
         // Loaders
-        this.gltfLoader = null;
-        this.fbxLoader = null;
+        this.modelLoaders = {}; // Model loader registry: extension -> { label, load, convertMaterials }
+        this.dracoLoader = null;
+        this.ktx2Loader = null;
         this.rgbeLoader = null;
+        this.exrLoader = null;
         this.textureLoader = null;
         
         this.init();
@@ -117,22 +374,27 @@ class ModelViewer {
     init() {
         this.setupCanvasDimensions();
         this.setupScene();
+        this.setupStatusOverlay();
         this.setupCamera();
         this.setupRenderer();
+        this.setupControls();
         this.setupLights();
+        this.setupGround();
         this.setupLoaders();
         this.loadDefaultHDRI();
         this.setupEventListeners();
         this.animate();
 
+        // Restore a shared scene from the URL ("#scene=...")
+        this.loadSceneStateFromHash();
+
         console.log('3D Model Viewer initialized');
     }
 
     setupCanvasDimensions() {
-        // Set canvas to Full HD (1920x1080) by default for high quality
-        this.canvas.width = 1920;
-        this.canvas.height = 1080;
-        console.log('Canvas dimensions set to Full HD: 1920x1080');
+        this.canvas.width = this.outputWidth;
+        this.canvas.height = this.outputHeight;
+        console.log(`Canvas dimensions set to ${this.outputWidth}x${this.outputHeight}`);
     }
 
     setupScene() {
@@ -143,9 +405,9 @@ class ModelViewer {
         this.scene.environmentRotation = new THREE.Euler();
         this.scene.backgroundRotation = new THREE.Euler();
 
-        // Create model container for transforms
-        this.modelContainer = new THREE.Group();
-        this.scene.add(this.modelContainer);
+        // Stage for the loaded objects (each has its own transform container)
+        this.stage = new THREE.Group();
+        this.scene.add(this.stage);
 
         // Create background canvas layer (behind Three.js canvas)
         this.setupBackgroundCanvas();
@@ -172,14 +434,226 @@ class ModelViewer {
         console.log('✅ Background canvas layer created');
     }
     
+    /**
+     * Progress bars and error panel layered over the canvas
+     * (DOM only, never part of exports)
+     */
+    setupStatusOverlay() {
+        const container = this.canvas.parentNode;
+
+        this.progressOverlay = document.createElement('div');
+        Object.assign(this.progressOverlay.style, {
+            position: 'absolute',
+            left: '50%',
+            bottom: '24px',
+            transform: 'translateX(-50%)',
+            width: '320px',
+            display: 'none',
+            padding: '8px 12px',
+            borderRadius: '6px',
+            background: 'var(--chatooly-color-surface, rgba(20, 20, 20, 0.85))',
+            color: 'var(--chatooly-color-text, #fff)',
+            fontSize: '12px',
+            zIndex: '10',
+            pointerEvents: 'none'
+        });
+        container.appendChild(this.progressOverlay);
+
+        this.errorPanel = document.createElement('div');
+        this.errorPanel.setAttribute('role', 'alert');
+        Object.assign(this.errorPanel.style, {
+            position: 'absolute',
+            top: '16px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            maxWidth: '480px',
+            display: 'none',
+            padding: '12px 16px',
+            borderRadius: '6px',
+            borderLeft: '4px solid var(--chatooly-color-error, #ff5a5a)',
+            background: 'var(--chatooly-color-surface, rgba(20, 20, 20, 0.92))',
+            color: 'var(--chatooly-color-text, #fff)',
+            fontSize: '12px',
+            zIndex: '11'
+        });
+        container.appendChild(this.errorPanel);
+    }
+
+    startLoadingTask(id, label) {
+        this.loadingTasks.set(id, { label, fraction: null });
+        this.renderProgressOverlay();
+    }
+
+    updateLoadingTask(id, fraction) {
+        const task = this.loadingTasks.get(id);
+        if (!task) return;
+        task.fraction = fraction;
+        this.renderProgressOverlay();
+    }
+
+    finishLoadingTask(id) {
+        this.loadingTasks.delete(id);
+        this.renderProgressOverlay();
+    }
+
+    renderProgressOverlay() {
+        if (!this.progressOverlay) return;
+
+        this.progressOverlay.innerHTML = '';
+        this.progressOverlay.style.display = this.loadingTasks.size > 0 ? 'block' : 'none';
+
+        this.loadingTasks.forEach(task => {
+            const row = document.createElement('div');
+            row.style.margin = '4px 0';
+
+            const label = document.createElement('div');
+            label.textContent = task.fraction === null
+                ? `${task.label}…`
+                : `${task.label} ${(task.fraction * 100).toFixed(0)}%`;
+            label.style.overflow = 'hidden';
+            label.style.textOverflow = 'ellipsis';
+            label.style.whiteSpace = 'nowrap';
+
+            const track = document.createElement('div');
+            Object.assign(track.style, {
+                height: '4px',
+                marginTop: '4px',
+                borderRadius: '2px',
+                background: 'rgba(255, 255, 255, 0.2)'
+            });
+
+            const bar = document.createElement('div');
+            Object.assign(bar.style, {
+                height: '100%',
+                borderRadius: '2px',
+                width: task.fraction === null ? '100%' : `${task.fraction * 100}%`,
+                opacity: task.fraction === null ? '0.4' : '1',
+                background: 'var(--chatooly-color-primary, #CCFD50)'
+            });
+
+            track.appendChild(bar);
+            row.appendChild(label);
+            row.appendChild(track);
+            this.progressOverlay.appendChild(row);
+        });
+    }
+
+    getErrorMessage(error) {
+        if (!error) return 'Unknown error';
+        if (error.message) return error.message;
+        if (error.target && error.target.status) return `HTTP ${error.target.status}`;
+        return String(error);
+    }
+
+    /**
+     * Map a loader error to a user-facing reason
+     * @param {*} error
+     * @param {string[]} [missingResources] - Referenced files that weren't uploaded
+     * @returns {string}
+     */
+    classifyLoadError(error, missingResources = []) {
+        const message = this.getErrorMessage(error);
+
+        if (missingResources.length > 0) return 'Missing resource';
+        if (/version|unsupported asset|not supported/i.test(message)) return 'Unsupported version';
+        if (/fetch|network|404|failed to load|HTTP/i.test(message) || (typeof ProgressEvent !== 'undefined' && error instanceof ProgressEvent)) {
+            return 'File not found or network error';
+        }
+        if (error instanceof SyntaxError || /parse|unexpected|invalid|json|magic/i.test(message)) return 'Parse error';
+        return 'Load error';
+    }
+
+    /**
+     * Show the error panel (replaces the previous error)
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} [options.file] - File or URL that failed
+     * @param {string} [options.reason] - Short category, see classifyLoadError()
+     * @param {string} [options.details] - Underlying error message
+     * @param {string[]} [options.missing] - Missing resource paths
+     * @param {Function} [options.retry] - Shows a Retry button when given
+     */
+    showError({ title, file, reason, details, missing = [], retry }) {
+        if (!this.errorPanel) return;
+
+        const panel = this.errorPanel;
+        panel.innerHTML = '';
+
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+        heading.style.display = 'block';
+        heading.style.marginBottom = '6px';
+        panel.appendChild(heading);
+
+        const addLine = (name, value) => {
+            if (!value) return;
+            const line = document.createElement('div');
+            line.style.wordBreak = 'break-all';
+            line.textContent = `${name}: ${value}`;
+            panel.appendChild(line);
+        };
+        addLine('File', file);
+        addLine('Reason', reason);
+        addLine('Details', details);
+
+        if (missing.length > 0) {
+            const list = document.createElement('ul');
+            list.style.margin = '4px 0 0 16px';
+            list.style.padding = '0';
+            missing.slice(0, 8).forEach(path => {
+                const item = document.createElement('li');
+                item.textContent = path;
+                list.appendChild(item);
+            });
+            if (missing.length > 8) {
+                const more = document.createElement('li');
+                more.textContent = `…and ${missing.length - 8} more`;
+                list.appendChild(more);
+            }
+            panel.appendChild(list);
+        }
+
+        const actions = document.createElement('div');
+        actions.style.marginTop = '8px';
+
+        if (retry) {
+            const retryButton = document.createElement('button');
+            retryButton.type = 'button';
+            retryButton.className = 'chatooly-btn';
+            retryButton.textContent = 'Retry';
+            retryButton.addEventListener('click', () => {
+                this.hideError();
+                retry();
+            });
+            actions.appendChild(retryButton);
+        }
+
+        const dismissButton = document.createElement('button');
+        dismissButton.type = 'button';
+        dismissButton.className = 'chatooly-btn';
+        dismissButton.textContent = 'Dismiss';
+        dismissButton.addEventListener('click', () => this.hideError());
+        actions.appendChild(dismissButton);
+
+        panel.appendChild(actions);
+        panel.style.display = 'block';
+    }
+
+    hideError() {
+        if (this.errorPanel) {
+            this.errorPanel.style.display = 'none';
+        }
+    }
+    
     setupCamera() {
-        // Fixed front perspective camera
-        // Use canvas internal dimensions, not CSS dimensions
-        const width = this.canvas.width || 1920;
-        const height = this.canvas.height || 1080;
+        // Front perspective camera (orbit controls move it from here)
+        const width = this.outputWidth;
+        const height = this.outputHeight;
         const aspect = width / height;
         
         this.camera = new THREE.PerspectiveCamera(45, aspect, 0.1, 1000);
+        this.camera.zoom = this.getCameraZoomForAspect(aspect);
+        this.camera.updateProjectionMatrix();
         this.camera.position.set(0, 0, 5); // Front view
         this.camera.lookAt(0, 0, 0);
         
@@ -195,16 +669,14 @@ class ModelViewer {
             preserveDrawingBuffer: true // Required for exports
         });
         
-        // Use canvas internal dimensions
-        const width = this.canvas.width || 1920;
-        const height = this.canvas.height || 1080;
+        const width = this.outputWidth;
+        const height = this.outputHeight;
         this.renderer.setSize(width, height, false);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Cap at 2x for performance
         
         // Improved GPU optimization settings for better IBL (r162+ uses outputColorSpace)
         this.renderer.outputColorSpace = THREE.SRGBColorSpace; // Updated from outputEncoding
-        this.renderer.toneMapping = THREE.NoToneMapping; // Default to no tone mapping
-        this.renderer.toneMappingExposure = 1.0;
+        this.applyToneMapping();
 
         // Set transparent clear color by default
         this.renderer.setClearColor(0x000000, 0); // Transparent black
@@ -214,7 +686,8 @@ class ModelViewer {
 
         // Enable shadows for HDRI + Sun rig system
         this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap; // Soft shadows
+        // PCF (not PCFSoft) so shadow.radius can follow the sun's angular size
+        this.renderer.shadowMap.type = THREE.PCFShadowMap;
         
         // Setup PMREMGenerator for high-quality IBL
         this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
@@ -223,6 +696,216 @@ class ModelViewer {
         console.log(`Renderer initialized: ${width}x${height} with improved IBL settings`);
     }
     
+    /**
+     * Apply the selected tone mapping operator and exposure
+     * (OutputPass reads the same renderer settings when post-processing is on)
+     */
+    applyToneMapping() {
+        this.renderer.toneMapping = this.toneMappingModes[this.toneMapping] ?? THREE.NoToneMapping;
+        this.renderer.toneMappingExposure = this.exposure;
+    }
+
+    setupToneMappingControls() {
+        document.getElementById('tone-mapping').addEventListener('change', (e) => {
+            this.toneMapping = e.target.value;
+            this.applyToneMapping();
+            console.log(`🎞️ Tone mapping: ${this.toneMapping}`);
+        });
+
+        document.getElementById('exposure').addEventListener('input', (e) => {
+            this.exposure = parseFloat(e.target.value);
+            this.applyToneMapping();
+            document.getElementById('exposure-value').textContent = this.exposure.toFixed(2);
+        });
+    }
+
+    setupControls() {
+        // Orbit (left drag), pan (right drag) and dolly (scroll) around the model
+        this.controls = new window.OrbitControls(this.camera, this.canvas);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.08;
+        this.controls.screenSpacePanning = true;
+        this.controls.minDistance = 0.5;
+        this.controls.maxDistance = 50;
+        this.controls.target.set(0, 0, 0);
+        this.controls.update();
+
+        // Restore views saved in previous sessions
+        this.loadSavedCameraViews();
+
+        console.log('✅ Orbit controls initialized');
+    }
+
+    /**
+     * Capture the current camera as a serializable view
+     * @returns {{position: number[], target: number[], fov: number}}
+     */
+    getCameraView() {
+        return {
+            position: this.camera.position.toArray(),
+            target: this.controls.target.toArray(),
+            fov: this.camera.fov
+        };
+    }
+
+    /**
+     * Move the camera to a view (position, orbit target, FOV)
+     * @param {{position: number[], target: number[], fov: number}} view
+     */
+    applyCameraView(view) {
+        if (!view) return;
+
+        this.camera.position.fromArray(view.position);
+        this.controls.target.fromArray(view.target);
+        this.camera.fov = view.fov;
+        this.camera.updateProjectionMatrix();
+        this.controls.update();
+
+        // Keep FOV slider in sync
+        const fovSlider = document.getElementById('camera-fov');
+        if (fovSlider) {
+            fovSlider.value = view.fov;
+            document.getElementById('camera-fov-value').textContent = Math.round(view.fov) + '°';
+            this.historyControlValues.set('camera-fov', fovSlider.value);
+        }
+    }
+
+    getCameraViewByName(name) {
+        return this.savedCameraViews[name] || this.defaultCameraViews[name] || null;
+    }
+
+    saveCameraView(name) {
+        const viewName = name.trim();
+        if (!viewName) return;
+
+        if (this.defaultCameraViews[viewName]) {
+            console.warn(`⚠️ "${viewName}" is a built-in view and cannot be overwritten`);
+            return;
+        }
+
+        this.savedCameraViews[viewName] = this.getCameraView();
+        this.currentCameraView = viewName;
+        this.persistCameraViews();
+        this.updateCameraViewOptions();
+
+        console.log(`📷 Camera view saved: ${viewName}`);
+    }
+
+    deleteCameraView(name) {
+        if (!this.savedCameraViews[name]) {
+            console.warn(`⚠️ Only saved views can be deleted (${name} is built-in)`);
+            return;
+        }
+
+        delete this.savedCameraViews[name];
+        this.currentCameraView = 'front';
+        this.persistCameraViews();
+        this.updateCameraViewOptions();
+
+        console.log(`📷 Camera view deleted: ${name}`);
+    }
+
+    loadSavedCameraViews() {
+        this.savedCameraViews = {};
+
+        let stored;
+        try {
+            stored = JSON.parse(window.localStorage.getItem(this.cameraViewsStorageKey));
+        } catch (error) {
+            console.warn('⚠️ Could not read saved camera views:', error);
+            return;
+        }
+        if (!stored || typeof stored !== 'object') return;
+
+        // Skip corrupted or outdated entries instead of failing when they're applied
+        Object.entries(stored).forEach(([name, view]) => {
+            if (this.isValidCameraView(view)) {
+                this.savedCameraViews[name] = view;
+            } else {
+                console.warn(`⚠️ Ignoring invalid saved camera view: ${name}`);
+            }
+        });
+    }
+
+    /**
+     * Whether a stored view has the shape getCameraView() produces
+     */
+    isValidCameraView(view) {
+        const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+        return !!view && isVector(view.position) && isVector(view.target) && Number.isFinite(view.fov);
+    }
+
+    persistCameraViews() {
+        try {
+            window.localStorage.setItem(this.cameraViewsStorageKey, JSON.stringify(this.savedCameraViews));
+        } catch (error) {
+            console.warn('⚠️ Could not persist camera views:', error);
+        }
+    }
+
+    updateCameraViewOptions() {
+        const select = document.getElementById('camera-view');
+        if (!select) return;
+
+        select.innerHTML = '';
+
+        const builtIn = document.createElement('optgroup');
+        builtIn.label = 'Built-in';
+        Object.keys(this.defaultCameraViews).forEach(name => {
+            builtIn.appendChild(new Option(name, name));
+        });
+        select.appendChild(builtIn);
+
+        const savedNames = Object.keys(this.savedCameraViews);
+        if (savedNames.length > 0) {
+            const saved = document.createElement('optgroup');
+            saved.label = 'Saved';
+            savedNames.forEach(name => saved.appendChild(new Option(name, name)));
+            select.appendChild(saved);
+        }
+
+        select.value = this.currentCameraView;
+    }
+
+    setupCameraControls() {
+        const viewSelect = document.getElementById('camera-view');
+        const fovSlider = document.getElementById('camera-fov');
+        const viewName = document.getElementById('camera-view-name');
+        const saveView = document.getElementById('save-camera-view');
+        const deleteView = document.getElementById('delete-camera-view');
+
+        this.updateCameraViewOptions();
+
+        if (viewSelect) {
+            viewSelect.addEventListener('change', (e) => {
+                this.currentCameraView = e.target.value;
+                this.applyCameraView(this.getCameraViewByName(e.target.value));
+                console.log(`📷 Camera view: ${e.target.value}`);
+            });
+        }
+
+        if (fovSlider) {
+            fovSlider.addEventListener('input', (e) => {
+                this.camera.fov = parseFloat(e.target.value);
+                this.camera.updateProjectionMatrix();
+                document.getElementById('camera-fov-value').textContent = e.target.value + '°';
+            });
+        }
+
+        if (saveView && viewName) {
+            saveView.addEventListener('click', () => {
+                this.saveCameraView(viewName.value);
+                viewName.value = '';
+            });
+        }
+
+        if (deleteView && viewSelect) {
+            deleteView.addEventListener('click', () => {
+                this.deleteCameraView(viewSelect.value);
+            });
+        }
+    }
+    
     setupLights() {
         // Ambient light as fallback (reduced since we have IBL + Sun)
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.1);
@@ -242,7 +925,7 @@ class ModelViewer {
         this.sunLight.shadow.camera.top = 10;
         this.sunLight.shadow.camera.bottom = -10;
         this.sunLight.shadow.bias = -0.0001; // Prevent shadow acne
-        this.sunLight.shadow.radius = 4; // Soft shadow edges
+        this.sunLight.shadow.radius = 4; // Soft shadow edges (derived from the HDRI when matched)
 
         // Position sun light (will be updated when HDRI is analyzed)
         this.sunLight.position.set(5, 10, 5);
@@ -254,513 +937,4354 @@ class ModelViewer {
         console.log('✅ Sun light system initialized with shadows');
     }
     
-    setupLoaders() {
-        // GLTF/GLB Loader (r162+ uses window.GLTFLoader)
-        this.gltfLoader = new window.GLTFLoader();
-
-        // FBX Loader (r162+ uses window.FBXLoader)
-        this.fbxLoader = new window.FBXLoader();
+    /**
+     * Shadow catcher ground plus a blurred contact-shadow layer
+     * Contact shadows follow three.js' contact shadow example: the model's depth is
+     * rendered from below into a small target, blurred, and shown on a plane
+     */
+    setupGround() {
+        this.groundGroup = new THREE.Group();
+        this.groundGroup.visible = false;
+        this.scene.add(this.groundGroup);
+
+        // Shadow-only material: transparent except where the sun's shadow falls
+        this.shadowCatcher = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.ShadowMaterial({ opacity: this.groundShadowOpacity, depthWrite: false })
+        );
+        this.shadowCatcher.rotation.x = -Math.PI / 2;
+        this.shadowCatcher.receiveShadow = true;
+        this.groundGroup.add(this.shadowCatcher);
+
+        const resolution = this.contactShadowResolution;
+        this.contactShadowTarget = new THREE.WebGLRenderTarget(resolution, resolution);
+        this.contactShadowTarget.texture.generateMipmaps = false;
+        this.contactShadowBlurTarget = new THREE.WebGLRenderTarget(resolution, resolution);
+        this.contactShadowBlurTarget.texture.generateMipmaps = false;
+
+        // Plane showing the blurred depth (texture y is flipped, hence scale.y < 0)
+        this.contactShadowPlane = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({
+                map: this.contactShadowTarget.texture,
+                opacity: this.contactShadowOpacity,
+                transparent: true,
+                depthWrite: false
+            })
+        );
+        this.contactShadowPlane.rotation.x = Math.PI / 2;
+        this.contactShadowPlane.renderOrder = 1;
+        this.contactShadowPlane.visible = false;
+        this.groundGroup.add(this.contactShadowPlane);
+
+        this.contactShadowBlurPlane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1));
+        this.contactShadowBlurPlane.rotation.x = Math.PI / 2;
+        this.contactShadowBlurPlane.visible = false;
+        this.groundGroup.add(this.contactShadowBlurPlane);
+
+        // Orthographic camera looking up from the ground
+        this.contactShadowCamera = new THREE.OrthographicCamera(-0.5, 0.5, 0.5, -0.5, 0, 1);
+        this.contactShadowCamera.rotation.x = Math.PI / 2;
+        this.groundGroup.add(this.contactShadowCamera);
+
+        // Depth as black with alpha falling off with distance from the ground
+        this.contactShadowDepthMaterial = new THREE.MeshDepthMaterial();
+        this.contactShadowDepthMaterial.onBeforeCompile = (shader) => {
+            shader.fragmentShader = shader.fragmentShader.replace(
+                'gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );',
+                'gl_FragColor = vec4( vec3( 0.0 ), 1.0 - fragCoordZ );'
+            );
+        };
+        this.contactShadowDepthMaterial.depthTest = false;
+        this.contactShadowDepthMaterial.depthWrite = false;
 
-        // RGBE Loader for HDR images (r162+ uses window.RGBELoader)
-        this.rgbeLoader = new window.RGBELoader();
-        // Use HalfFloatType for better performance with HDR in r162+
-        this.rgbeLoader.setDataType(THREE.HalfFloatType);
+        this.contactShadowHorizontalBlur = new THREE.ShaderMaterial(window.HorizontalBlurShader);
+        this.contactShadowHorizontalBlur.depthTest = false;
+        this.contactShadowVerticalBlur = new THREE.ShaderMaterial(window.VerticalBlurShader);
+        this.contactShadowVerticalBlur.depthTest = false;
 
-        // Texture Loader for background images
-        this.textureLoader = new THREE.TextureLoader();
-    }
-    
-    loadDefaultHDRI() {
-        this.loadHDRI('studio');
+        console.log('✅ Shadow catcher ground initialized');
     }
 
     /**
-     * Analyze HDRI texture to find brightest point (sun position)
-     * This mimics Cinema 4D/Redshift HDRI + Sun rig behavior
+     * Place the ground at the lowest bounding-box bottom of the stage objects,
+     * sized to cover them through a full turntable rotation
      */
-    analyzeHDRIBrightestPoint(texture) {
-        console.log('🔍 Analyzing HDRI for brightest point (sun extraction)...');
-
-        // Create a temporary canvas to read pixel data
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
-        // Get texture image (we need to render it to canvas for pixel analysis)
-        // For HDR textures, we'll sample at lower resolution for performance
-        const sampleWidth = 512;
-        const sampleHeight = 256;
-        canvas.width = sampleWidth;
-        canvas.height = sampleHeight;
+    updateGroundPlacement() {
+        this.groundNeedsUpdate = false;
 
-        // Create a temporary scene to render the HDRI texture
-        const tempScene = new THREE.Scene();
-        const tempCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        if (this.stageObjects.length === 0) {
+            this.groundGroup.visible = false;
+            return;
+        }
 
-        // Create a plane with the HDRI texture
-        const geometry = new THREE.PlaneGeometry(2, 2);
-        const material = new THREE.MeshBasicMaterial({
-            map: texture,
-            toneMapped: false // Important: we want raw HDR values
+        this.stage.updateMatrixWorld(true);
+        const box = new THREE.Box3();
+        const center = new THREE.Vector3();
+        const objectBoxes = this.stageObjects.map(object => {
+            center.add(object.container.position);
+            const objectBox = this.getVisibleBounds(object.container);
+            box.union(objectBox);
+            return objectBox;
         });
-        const plane = new THREE.Mesh(geometry, material);
-        tempScene.add(plane);
-
-        // Render to a render target that we can read
-        const renderTarget = new THREE.WebGLRenderTarget(sampleWidth, sampleHeight, {
-            type: THREE.FloatType, // Use float to preserve HDR values
-            format: THREE.RGBAFormat
+        if (box.isEmpty()) return;
+        center.divideScalar(this.stageObjects.length);
+
+        // Each object spins about its own pivot
+        let reach = 0;
+        objectBoxes.forEach((objectBox, index) => {
+            if (objectBox.isEmpty()) return;
+            const sphere = objectBox.getBoundingSphere(new THREE.Sphere());
+            const pivot = this.stageObjects[index].container.position;
+            const offset = Math.hypot(sphere.center.x - pivot.x, sphere.center.z - pivot.z);
+            const distance = Math.hypot(pivot.x - center.x, pivot.z - center.z);
+            reach = Math.max(reach, distance + sphere.radius + offset);
         });
 
-        this.renderer.setRenderTarget(renderTarget);
-        this.renderer.render(tempScene, tempCamera);
+        const size = box.getSize(new THREE.Vector3());
+        const area = reach * 2.5;
 
-        // Read pixels
-        const pixelBuffer = new Float32Array(sampleWidth * sampleHeight * 4);
-        this.renderer.readRenderTargetPixels(renderTarget, 0, 0, sampleWidth, sampleHeight, pixelBuffer);
+        this.groundGroup.position.set(center.x, box.min.y, center.z);
+        this.shadowCatcher.scale.setScalar(area * 4);
 
-        // Reset render target
-        this.renderer.setRenderTarget(null);
+        this.contactShadowPlane.scale.set(area, -area, 1);
+        this.contactShadowBlurPlane.scale.set(area, area, 1);
 
-        // Find brightest pixel
-        let maxLuminance = 0;
-        let brightestU = 0.5;
-        let brightestV = 0.5;
+        // Only geometry close to the ground darkens the contact shadow
+        this.contactShadowCamera.left = -area / 2;
+        this.contactShadowCamera.right = area / 2;
+        this.contactShadowCamera.top = area / 2;
+        this.contactShadowCamera.bottom = -area / 2;
+        this.contactShadowCamera.far = Math.max(size.y * 0.5, 0.001);
+        this.contactShadowCamera.updateProjectionMatrix();
 
-        for (let y = 0; y < sampleHeight; y++) {
-            for (let x = 0; x < sampleWidth; x++) {
-                const idx = (y * sampleWidth + x) * 4;
-                const r = pixelBuffer[idx];
-                const g = pixelBuffer[idx + 1];
-                const b = pixelBuffer[idx + 2];
-
-                // Calculate luminance (Rec. 709)
-                const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-
-                if (luminance > maxLuminance) {
-                    maxLuminance = luminance;
-                    brightestU = x / sampleWidth;
-                    brightestV = 1.0 - (y / sampleHeight); // Flip V coordinate
-                }
-            }
-        }
+        this.updateGroundVisibility();
+    }
 
-        console.log(`  ✓ Brightest point found: UV(${brightestU.toFixed(3)}, ${brightestV.toFixed(3)}), Luminance: ${maxLuminance.toFixed(2)}`);
+    /**
+     * Precise world bounds of the visible geometry only (hidden parts don't
+     * push the ground down)
+     * @param {THREE.Object3D} object
+     * @param {THREE.Object3D} [space] - Measure in this object's local space instead of world space
+     */
+    getVisibleBounds(object, space = null) {
+        const box = new THREE.Box3();
+        const childBox = new THREE.Box3();
+        const vertex = new THREE.Vector3();
+        const toSpace = space ? space.matrixWorld.clone().invert() : new THREE.Matrix4();
+        const matrix = new THREE.Matrix4();
+
+        object.traverseVisible(child => {
+            const geometry = child.geometry;
+            if (!geometry) return;
+
+            matrix.multiplyMatrices(toSpace, child.matrixWorld);
+
+            if (child.isInstancedMesh) {
+                if (child.boundingBox === null) child.computeBoundingBox();
+                box.union(childBox.copy(child.boundingBox).applyMatrix4(matrix));
+                return;
+            }
 
-        // Convert equirectangular UV to 3D direction
-        const direction = this.equirectUVToDirection(brightestU, brightestV);
+            const position = geometry.getAttribute('position');
+            if (!position) return;
 
-        console.log(`  ✓ Sun direction: (${direction.x.toFixed(3)}, ${direction.y.toFixed(3)}, ${direction.z.toFixed(3)})`);
+            for (let i = 0; i < position.count; i++) {
+                // getVertexPosition applies skinning and morph targets
+                if (child.isMesh) {
+                    child.getVertexPosition(i, vertex);
+                } else {
+                    vertex.fromBufferAttribute(position, i);
+                }
+                box.expandByPoint(vertex.applyMatrix4(matrix));
+            }
+        });
 
-        // Cleanup
-        renderTarget.dispose();
-        geometry.dispose();
-        material.dispose();
+        return box;
+    }
 
-        return direction;
+    updateGroundVisibility() {
+        const active = (this.groundEnabled || this.contactShadowsEnabled) && this.stageObjects.length > 0;
+        this.groundGroup.visible = active;
+        this.shadowCatcher.visible = this.groundEnabled;
+        this.contactShadowPlane.visible = this.contactShadowsEnabled;
     }
 
     /**
-     * Convert equirectangular UV coordinates to 3D direction vector
-     * @param {number} u - Horizontal coordinate (0 to 1)
-     * @param {number} v - Vertical coordinate (0 to 1)
-     * @returns {THREE.Vector3} - Normalized direction vector
+     * Render the model's depth from below and blur it into the contact shadow texture
      */
-    equirectUVToDirection(u, v) {
-        // Convert UV to spherical coordinates
-        const phi = (u - 0.5) * Math.PI * 2; // Longitude: -π to π
-        const theta = (v - 0.5) * Math.PI;    // Latitude: -π/2 to π/2
+    renderContactShadows() {
+        const renderer = this.renderer;
+        const initialBackground = this.scene.background;
+        const initialClearAlpha = renderer.getClearAlpha();
+        const initialTarget = renderer.getRenderTarget();
+
+        // Only the model should end up in the depth pass
+        this.shadowCatcher.visible = false;
+        this.contactShadowPlane.visible = false;
+        if (this.selectionHelper) this.selectionHelper.visible = false;
+        this.scene.background = null;
+        this.scene.overrideMaterial = this.contactShadowDepthMaterial;
+        renderer.setClearAlpha(0);
+
+        renderer.setRenderTarget(this.contactShadowTarget);
+        renderer.clear();
+        renderer.render(this.scene, this.contactShadowCamera);
+        this.scene.overrideMaterial = null;
+
+        // Two passes, the second finer, to smooth out blur artifacts
+        this.blurContactShadow(this.contactShadowBlur);
+        this.blurContactShadow(this.contactShadowBlur * 0.4);
+
+        renderer.setRenderTarget(initialTarget);
+        renderer.setClearAlpha(initialClearAlpha);
+        this.scene.background = initialBackground;
+        this.shadowCatcher.visible = this.groundEnabled;
+        this.contactShadowPlane.visible = true;
+        if (this.selectionHelper) this.selectionHelper.visible = true;
+    }
 
-        // Convert spherical to Cartesian coordinates
-        const x = Math.cos(theta) * Math.sin(phi);
-        const y = Math.sin(theta);
-        const z = Math.cos(theta) * Math.cos(phi);
+    blurContactShadow(amount) {
+        const renderer = this.renderer;
+        const blurPlane = this.contactShadowBlurPlane;
+        const resolution = this.contactShadowResolution;
+        blurPlane.visible = true;
+
+        blurPlane.material = this.contactShadowHorizontalBlur;
+        blurPlane.material.uniforms.tDiffuse.value = this.contactShadowTarget.texture;
+        blurPlane.material.uniforms.h.value = amount / resolution;
+        renderer.setRenderTarget(this.contactShadowBlurTarget);
+        renderer.render(blurPlane, this.contactShadowCamera);
+
+        blurPlane.material = this.contactShadowVerticalBlur;
+        blurPlane.material.uniforms.tDiffuse.value = this.contactShadowBlurTarget.texture;
+        blurPlane.material.uniforms.v.value = amount / resolution;
+        renderer.setRenderTarget(this.contactShadowTarget);
+        renderer.render(blurPlane, this.contactShadowCamera);
+
+        blurPlane.visible = false;
+    }
 
-        return new THREE.Vector3(x, y, z).normalize();
+    setupGroundControls() {
+        document.getElementById('ground-enabled').addEventListener('change', (e) => {
+            this.groundEnabled = e.target.checked;
+            this.groundNeedsUpdate = true;
+            console.log(`🟫 Shadow catcher ground: ${this.groundEnabled ? 'on' : 'off'}`);
+        });
+
+        document.getElementById('ground-shadow-opacity').addEventListener('input', (e) => {
+            this.groundShadowOpacity = parseFloat(e.target.value);
+            this.shadowCatcher.material.opacity = this.groundShadowOpacity;
+            document.getElementById('ground-shadow-opacity-value').textContent = this.groundShadowOpacity.toFixed(2);
+        });
+
+        document.getElementById('contact-shadows-enabled').addEventListener('change', (e) => {
+            this.contactShadowsEnabled = e.target.checked;
+            this.groundNeedsUpdate = true;
+            console.log(`🟫 Contact shadows: ${this.contactShadowsEnabled ? 'on' : 'off'}`);
+        });
+
+        document.getElementById('contact-shadow-opacity').addEventListener('input', (e) => {
+            this.contactShadowOpacity = parseFloat(e.target.value);
+            this.contactShadowPlane.material.opacity = this.contactShadowOpacity;
+            document.getElementById('contact-shadow-opacity-value').textContent = this.contactShadowOpacity.toFixed(2);
+        });
+
+        document.getElementById('contact-shadow-blur').addEventListener('input', (e) => {
+            this.contactShadowBlur = parseFloat(e.target.value);
+            document.getElementById('contact-shadow-blur-value').textContent = this.contactShadowBlur.toFixed(1);
+        });
+
+        // Scale, position and X/Z rotation move the model's bottom
+        ['scale-slider', 'position-x', 'position-y', 'rotation-x', 'rotation-y', 'rotation-z'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.groundNeedsUpdate = true;
+            });
+        });
     }
 
     /**
-     * Update sun light position based on detected direction and current HDRI rotation
+     * Rebuild the EffectComposer chain from the enabled effects
+     * With nothing enabled the scene is rendered directly (no extra passes)
      */
-    updateSunLightPosition() {
-        if (!this.sunLight || !this.sunEnabled) return;
+    rebuildPostProcessing() {
+        const enabled = this.postEffectOrder.filter(id => id !== 'output' && this.postEffects[id].enabled);
+        this.postProcessingActive = enabled.length > 0;
 
-        // Apply HDRI rotation to sun direction
-        const rotationRadians = this.hdriRotation * Math.PI / 180;
-        const rotatedDirection = this.sunDirection.clone();
-        rotatedDirection.applyAxisAngle(new THREE.Vector3(0, 1, 0), rotationRadians);
+        // Exports always render through the composer, so keep an existing chain in sync
+        if (this.postProcessingActive || this.composer) {
+            this.buildPostProcessingChain();
+        }
 
-        // Position sun light far from origin in the detected direction
-        const distance = 20; // Far enough to act as directional light
-        this.sunLight.position.copy(rotatedDirection.multiplyScalar(distance));
+        if (this.postProcessingActive) {
+            console.log(`✨ Post-processing: ${enabled.join(' → ')}`);
+        }
+    }
 
-        // Always point at scene center
-        this.sunLight.target.position.set(0, 0, 0);
-        this.sunLight.target.updateMatrixWorld();
+    buildPostProcessingChain() {
+        if (!this.composer) {
+            // Multisampled like the antialiased canvas: exports always render through
+            // the composer, so 1-sample exports rely on it for smooth edges
+            const size = this.renderer.getSize(new THREE.Vector2());
+            this.composer = new window.EffectComposer(this.renderer, new THREE.WebGLRenderTarget(size.x, size.y, {
+                samples: 4,
+                type: THREE.HalfFloatType
+            }));
+            this.composer.setSize(size.x, size.y); // Applies the pixel ratio
+            this.renderPass = new window.RenderPass(this.scene, this.camera);
+            this.outputPass = new window.OutputPass();
+
+            // Scene passes work on premultiplied alpha; tone mapping and sRGB need straight color
+            this.unpremultiplyPass = this.createAlphaPass(
+                'gl_FragColor = vec4( color.a > 0.0 ? color.rgb / color.a : color.rgb, color.a );'
+            );
+            this.premultiplyPass = this.createAlphaPass(
+                'gl_FragColor = vec4( clamp( color.rgb, 0.0, 1.0 ) * color.a, color.a );'
+            );
+        }
 
-        // Update intensity
-        this.sunLight.intensity = this.sunIntensity;
+        while (this.composer.passes.length > 0) {
+            this.composer.removePass(this.composer.passes[0]);
+        }
 
-        // Show/hide based on enabled state
-        this.sunLight.visible = this.sunEnabled;
+        this.composer.addPass(this.renderPass);
+        this.postEffectOrder.forEach(id => {
+            if (id === 'output') {
+                this.composer.addPass(this.unpremultiplyPass);
+                this.composer.addPass(this.outputPass);
+                this.composer.addPass(this.premultiplyPass);
+            } else if (this.postEffects[id].enabled) {
+                this.composer.addPass(this.getPostPass(id));
+            }
+        });
+
+        this.applyPostEffectSettings();
+    }
+
+    /**
+     * Full-screen pass that rewrites each pixel (`color` holds the input)
+     */
+    createAlphaPass(fragmentMain) {
+        return new window.ShaderPass({
+            uniforms: {
+                tDiffuse: { value: null }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+                }`,
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                varying vec2 vUv;
+                void main() {
+                    vec4 color = texture2D( tDiffuse, vUv );
+                    ${fragmentMain}
+                }`
+        });
+    }
+
+    /**
+     * Create (once) the pass for an effect
+     * Stock bloom and bokeh write opaque alpha; their shaders are adjusted so
+     * transparent backgrounds survive the pipeline
+     */
+    getPostPass(id) {
+        if (this.postPasses[id]) return this.postPasses[id];
+
+        let pass;
+        switch (id) {
+            case 'ssao':
+                pass = new window.SSAOPass(this.scene, this.camera, 1, 1);
+                break;
+
+            case 'dof':
+                pass = new window.BokehPass(this.scene, this.camera, {});
+                // Blur alpha along with color instead of forcing it to 1
+                pass.materialBokeh.fragmentShader = pass.materialBokeh.fragmentShader.replace('gl_FragColor.a = 1.0;', '');
+                pass.materialBokeh.needsUpdate = true;
+                break;
+
+            case 'bloom': {
+                pass = new window.UnrealBloomPass(new THREE.Vector2(1, 1), 1, 0, 0);
+                // Glow alpha follows its brightness, added premultiplied on top of the scene
+                pass.compositeMaterial.fragmentShader = pass.compositeMaterial.fragmentShader.replace(
+                    /}\s*$/,
+                    '\tgl_FragColor.a = clamp( max( gl_FragColor.r, max( gl_FragColor.g, gl_FragColor.b ) ), 0.0, 1.0 );\n}'
+                );
+                pass.compositeMaterial.needsUpdate = true;
+                Object.assign(pass.blendMaterial, {
+                    blending: THREE.CustomBlending,
+                    blendSrc: THREE.OneFactor,
+                    blendDst: THREE.OneFactor,
+                    blendSrcAlpha: THREE.OneFactor,
+                    blendDstAlpha: THREE.OneFactor
+                });
+                break;
+            }
+
+            case 'sharpen':
+                // Unsharp mask on display values, kept within premultiplied range
+                pass = new window.ShaderPass({
+                    uniforms: {
+                        tDiffuse: { value: null },
+                        resolution: { value: new THREE.Vector2(1, 1) },
+                        amount: { value: 0 }
+                    },
+                    vertexShader: `
+                        varying vec2 vUv;
+                        void main() {
+                            vUv = uv;
+                            gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+                        }`,
+                    fragmentShader: `
+                        uniform sampler2D tDiffuse;
+                        uniform vec2 resolution;
+                        uniform float amount;
+                        varying vec2 vUv;
+                        void main() {
+                            vec2 texel = 1.0 / resolution;
+                            vec4 center = texture2D( tDiffuse, vUv );
+                            vec4 neighbors = texture2D( tDiffuse, vUv + vec2( texel.x, 0.0 ) )
+                                + texture2D( tDiffuse, vUv - vec2( texel.x, 0.0 ) )
+                                + texture2D( tDiffuse, vUv + vec2( 0.0, texel.y ) )
+                                + texture2D( tDiffuse, vUv - vec2( 0.0, texel.y ) );
+                            vec4 sharpened = center + amount * ( 4.0 * center - neighbors );
+                            float alpha = clamp( sharpened.a, 0.0, 1.0 );
+                            gl_FragColor = vec4( clamp( sharpened.rgb, 0.0, alpha ), alpha );
+                        }`
+                });
+                break;
+        }
+
+        this.postPasses[id] = pass;
+        return pass;
+    }
+
+    /**
+     * Push the current effect settings into their passes
+     */
+    applyPostEffectSettings() {
+        const { ssao, dof, bloom, sharpen } = this.postEffects;
+        const passes = this.postPasses;
+
+        if (passes.ssao) {
+            // SSAO distances are in normalized depth (near..far)
+            const depthRange = this.camera.far - this.camera.near;
+            passes.ssao.kernelRadius = ssao.radius;
+            passes.ssao.maxDistance = ssao.maxDistance / depthRange;
+            passes.ssao.minDistance = passes.ssao.maxDistance / 20;
+        }
+
+        if (passes.dof) {
+            // Blur is in UV units of the rendered frame; tiles are a fraction of the export
+            passes.dof.uniforms.aperture.value = dof.aperture * this.postEffectScale;
+            passes.dof.uniforms.maxblur.value = dof.maxBlur * this.postEffectScale;
+        }
+
+        if (passes.bloom) {
+            passes.bloom.strength = bloom.strength;
+            passes.bloom.radius = bloom.radius;
+            passes.bloom.threshold = bloom.threshold;
+        }
+
+        if (passes.sharpen) {
+            passes.sharpen.uniforms.amount.value = sharpen.amount;
+        }
+    }
+
+    /**
+     * Per-frame effect inputs that depend on the camera and render size
+     */
+    updatePostEffectFrame() {
+        const dof = this.postEffects.dof;
+        if (this.postPasses.dof && dof.enabled) {
+            const focus = dof.autoFocus
+                ? this.camera.position.distanceTo(this.controls.target)
+                : dof.focus;
+            this.postPasses.dof.uniforms.focus.value = focus;
+        }
+
+        if (this.postPasses.sharpen) {
+            const target = this.composer.renderTarget1;
+            this.postPasses.sharpen.uniforms.resolution.value.set(target.width, target.height);
+        }
+    }
+
+    setupPostProcessingControls() {
+        Object.entries(this.postEffectControls).forEach(([id, [effect, setting, decimals]]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+
+            if (element.type === 'checkbox') {
+                element.addEventListener('change', (e) => {
+                    this.postEffects[effect][setting] = e.target.checked;
+                    if (setting === 'enabled') {
+                        this.rebuildPostProcessing();
+                    }
+                });
+            } else {
+                element.addEventListener('input', (e) => {
+                    const value = parseFloat(e.target.value);
+                    this.postEffects[effect][setting] = value;
+                    document.getElementById(`${id}-value`).textContent = value.toFixed(decimals);
+                    this.applyPostEffectSettings();
+                });
+            }
+        });
+    }
+
+    /**
+     * Largest render size the GPU reliably supports in one pass
+     */
+    getMaxRenderTileSize() {
+        const gl = this.renderer.getContext();
+        const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+
+        return Math.min(
+            this.maxRenderTileSize,
+            this.renderer.capabilities.maxTextureSize,
+            gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+            viewport[0],
+            viewport[1]
+        );
+    }
+
+    /**
+     * Overlap (px) each tile renders beyond its edges so screen-space effects
+     * see the same neighborhood as in a single full-size render; it is cropped away
+     */
+    getTilePadding(width, height, maxTileSize) {
+        let padding = 16; // Sharpen and SSAO blur kernels
+
+        if (this.postEffects.ssao.enabled) {
+            // Projected AO radius at the orbit target's distance
+            const distance = this.camera.position.distanceTo(this.controls.target);
+            const viewHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2) / this.camera.zoom;
+            padding = Math.max(padding, Math.ceil(this.postEffects.ssao.radius / viewHeight * height) + 8);
+        }
+        if (this.postEffects.dof.enabled) {
+            padding = Math.max(padding, Math.ceil(this.postEffects.dof.maxBlur * width) + 8);
+        }
+        if (this.postEffects.bloom.enabled) {
+            // Widest bloom kernel (smallest mip) reaches ~350px at any resolution
+            padding = Math.max(padding, 384);
+        }
+
+        const maxPadding = Math.floor(maxTileSize / 4);
+        if (padding > maxPadding) {
+            console.warn(`⚠️ Tile overlap limited to ${maxPadding}px (effects need ${padding}px), seams may show`);
+        }
+        return Math.min(padding, maxPadding);
+    }
+
+    /**
+     * Render the scene into a 2D context at any size, in tiles when it exceeds
+     * the GPU limit. Tiles are sub-frusta of the full view (camera.setViewOffset);
+     * shadow maps and contact shadows are rendered once and shared by all tiles.
+     * Every pixel averages `exportSamples` jittered renders, and the output goes
+     * through the composer so alpha is clean premultiplied
+     * @param {CanvasRenderingContext2D} ctx - Target, already holding the background
+     * @param {number} width - Full export width in pixels
+     * @param {number} height - Full export height in pixels
+     */
+    renderSceneToContext(ctx, width, height) {
+        const maxTileSize = this.getMaxRenderTileSize();
+        const tiled = width > maxTileSize || height > maxTileSize;
+        const padding = tiled ? this.getTilePadding(width, height, maxTileSize) : 0;
+        const tileSize = maxTileSize - padding * 2;
+        const columns = Math.ceil(width / tileSize);
+        const rows = Math.ceil(height / tileSize);
+        const samples = Math.max(1, this.exportSamples);
+
+        if (!this.composer) {
+            this.buildPostProcessingChain();
+        }
+
+        // Exact pixels: no device pixel ratio while exporting
+        const pixelRatio = this.renderer.getPixelRatio();
+        const shadowAutoUpdate = this.renderer.shadowMap.autoUpdate;
+        this.renderer.setPixelRatio(1);
+        this.composer.setPixelRatio(1);
+        // Loop exports scale the shadow map once for all of their frames
+        const restoreShadowMap = this.loopExport ? () => {} : this.scaleShadowMapForExport(width / this.outputWidth);
+        // The selection highlight is a viewport aid only
+        if (this.selectionHelper) this.selectionHelper.visible = false;
+
+        if (tiled) {
+            console.log(`  ✓ Tiled render: ${columns}x${rows} tiles of ${tileSize}px (+${padding}px overlap)`);
+        }
+
+        try {
+            let first = true;
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const x = column * tileSize;
+                    const y = row * tileSize;
+                    const tileWidth = Math.min(tileSize, width - x);
+                    const tileHeight = Math.min(tileSize, height - y);
+                    const renderWidth = tileWidth + padding * 2;
+                    const renderHeight = tileHeight + padding * 2;
+
+                    this.setRenderSize(renderWidth, renderHeight);
+                    this.postEffectScale = width / renderWidth;
+                    this.applyPostEffectSettings();
+
+                    for (let sample = 0; sample < samples; sample++) {
+                        const [jitterX, jitterY] = samples > 1 ? this.getSampleJitter(sample) : [0, 0];
+                        if (tiled || samples > 1) {
+                            this.camera.setViewOffset(width, height, x - padding + jitterX, y - padding + jitterY, renderWidth, renderHeight);
+                        }
+
+                        this.renderScene({ contactShadows: first, postProcessing: true, renderToScreen: samples === 1 });
+
+                        // Same shadow map for every sample and tile (no flicker or seams)
+                        if (first) {
+                            this.renderer.shadowMap.autoUpdate = false;
+                            first = false;
+                        }
+
+                        if (samples > 1) {
+                            this.accumulateSample(sample, samples, renderWidth, renderHeight);
+                        }
+                    }
+
+                    if (samples > 1) {
+                        this.presentAccumulation();
+                    }
+
+                    ctx.drawImage(this.canvas, padding, padding, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+                }
+            }
+        } finally {
+            this.camera.clearViewOffset();
+            if (this.selectionHelper) this.selectionHelper.visible = true;
+            this.renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+            restoreShadowMap();
+            this.postEffectScale = 1;
+            this.applyPostEffectSettings();
+            this.renderer.setPixelRatio(pixelRatio);
+            this.composer.setPixelRatio(pixelRatio);
+            this.setRenderSize(this.outputWidth, this.outputHeight);
+        }
+    }
+
+    /**
+     * Raise the sun's shadow map resolution with the export scale, keeping the
+     * blur radius the same in world units
+     * @returns {Function} Restores the live-view shadow map
+     */
+    scaleShadowMapForExport(scale) {
+        const shadow = this.sunLight.shadow;
+        const liveSize = shadow.mapSize.x;
+        const liveRadius = shadow.radius;
+        const maxSize = Math.min(this.maxExportShadowMapSize, this.renderer.capabilities.maxTextureSize);
+        const exportSize = Math.min(maxSize, Math.pow(2, Math.ceil(Math.log2(liveSize * Math.max(1, scale)))));
+
+        if (exportSize === liveSize) return () => {};
+
+        const resize = (size, radius) => {
+            shadow.mapSize.set(size, size);
+            shadow.radius = radius;
+            shadow.map?.dispose();
+            shadow.map = null;
+        };
+
+        resize(exportSize, liveRadius * exportSize / liveSize);
+        console.log(`  ✓ Export shadow map: ${exportSize}x${exportSize}`);
+        return () => resize(liveSize, liveRadius);
+    }
+
+    /**
+     * Sub-pixel offset for a supersample (Halton 2,3 sequence, centered on the pixel)
+     */
+    getSampleJitter(index) {
+        const halton = (i, base) => {
+            let result = 0;
+            let fraction = 1 / base;
+            while (i > 0) {
+                result += (i % base) * fraction;
+                i = Math.floor(i / base);
+                fraction /= base;
+            }
+            return result;
+        };
+
+        return [halton(index + 1, 2) - 0.5, halton(index + 1, 3) - 0.5];
+    }
+
+    /**
+     * Add the composer's output, weighted 1/count, to the accumulation target
+     */
+    accumulateSample(index, count, width, height) {
+        if (!this.accumulationTarget) {
+            this.accumulationTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType });
+            this.accumulationQuad = new window.FullScreenQuad(new THREE.ShaderMaterial({
+                uniforms: {
+                    tDiffuse: { value: null },
+                    weight: { value: 1 }
+                },
+                vertexShader: `
+                    varying vec2 vUv;
+                    void main() {
+                        vUv = uv;
+                        gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+                    }`,
+                fragmentShader: `
+                    uniform sampler2D tDiffuse;
+                    uniform float weight;
+                    varying vec2 vUv;
+                    void main() {
+                        gl_FragColor = texture2D( tDiffuse, vUv ) * weight;
+                    }`,
+                blendSrc: THREE.OneFactor,
+                blendDst: THREE.OneFactor,
+                blendSrcAlpha: THREE.OneFactor,
+                blendDstAlpha: THREE.OneFactor,
+                depthTest: false,
+                depthWrite: false
+            }));
+        }
+        this.accumulationTarget.setSize(width, height);
+
+        const material = this.accumulationQuad.material;
+        material.uniforms.tDiffuse.value = this.composer.readBuffer.texture;
+        material.uniforms.weight.value = 1 / count;
+        // First sample overwrites, the rest add up
+        material.blending = index === 0 ? THREE.NoBlending : THREE.CustomBlending;
+
+        this.renderer.setRenderTarget(this.accumulationTarget);
+        this.accumulationQuad.render(this.renderer);
+        this.renderer.setRenderTarget(null);
+    }
+
+    /**
+     * Copy the averaged samples to the canvas
+     */
+    presentAccumulation() {
+        const material = this.accumulationQuad.material;
+        material.uniforms.tDiffuse.value = this.accumulationTarget.texture;
+        material.uniforms.weight.value = 1;
+        material.blending = THREE.NoBlending;
+
+        this.renderer.setRenderTarget(null);
+        this.accumulationQuad.render(this.renderer);
+    }
+
+    setupExportControls() {
+        const samplesSelect = document.getElementById('export-samples');
+        if (!samplesSelect) return;
+
+        samplesSelect.addEventListener('change', (e) => {
+            this.exportSamples = parseInt(e.target.value);
+            console.log(`🖼️ Export anti-aliasing: ${this.exportSamples} sample(s) per pixel`);
+        });
+    }
+
+    /**
+     * Resize the drawing buffer and the post-processing targets together
+     */
+    setRenderSize(width, height) {
+        this.renderer.setSize(width, height, false);
+        if (this.composer) {
+            this.composer.setSize(width, height);
+        }
+    }
+
+    setupLoaders() {
+        // Compressed glTF decoders, served from js/libs/ so they work without network
+        this.dracoLoader = new window.DRACOLoader();
+        this.dracoLoader.setDecoderPath('js/libs/draco/');
+
+        this.ktx2Loader = new window.KTX2Loader();
+        this.ktx2Loader.setTranscoderPath('js/libs/basis/');
+        this.ktx2Loader.detectSupport(this.renderer); // Picks the GPU's compressed texture format
+
+        // Model loaders (r162+ addons are exposed on window by index.html)
+        // Loaders are created per upload so each gets its own resource manager
+        this.registerModelLoader(['glb', 'gltf'], 'GLTF', (url, manager) => this.loadGLTF(url, manager));
+        this.registerModelLoader(['fbx'], 'FBX', (url, manager) => this.loadFBX(url, manager), { unit: 'cm' });
+        this.registerModelLoader(['obj'], 'OBJ', (url, manager) => this.loadOBJ(url, manager), { convertMaterials: true });
+        this.registerModelLoader(['stl'], 'STL', (url, manager) => this.loadGeometryModel(new window.STLLoader(manager), url), { convertMaterials: true, unit: 'mm' });
+        this.registerModelLoader(['ply'], 'PLY', (url, manager) => this.loadGeometryModel(new window.PLYLoader(manager), url, { allowPoints: true }), { convertMaterials: true });
+        this.registerModelLoader(['3mf'], '3MF', (url, manager) => this.loadWithProgress(new window.ThreeMFLoader(manager), url), { convertMaterials: true, unit: 'mm' });
+        this.registerModelLoader(['usdz'], 'USDZ', (url, manager) => this.loadWithProgress(new window.USDZLoader(manager), url), { convertMaterials: true });
+
+        // RGBE Loader for HDR images (r162+ uses window.RGBELoader)
+        this.rgbeLoader = new window.RGBELoader();
+        // Use HalfFloatType for better performance with HDR in r162+
+        this.rgbeLoader.setDataType(THREE.HalfFloatType);
+
+        // EXR Loader for uploaded OpenEXR environments
+        this.exrLoader = new window.EXRLoader();
+        this.exrLoader.setDataType(THREE.HalfFloatType);
+
+        // Texture Loader for background images
+        this.textureLoader = new THREE.TextureLoader();
+    }
+    
+    /**
+     * Register a model format
+     * @param {string[]} extensions - File extensions without the dot
+     * @param {string} label - Format name for logs and messages
+     * @param {Function} load - (url, manager) => Promise<THREE.Object3D>
+     * @param {Object} [options]
+     * @param {boolean} [options.convertMaterials] - Replace non-PBR or missing materials
+     *   with MeshStandardMaterial so the model receives IBL
+     * @param {string} [options.unit='m'] - Customary length of one unit in the format (for real-world sizes)
+     */
+    registerModelLoader(extensions, label, load, options = {}) {
+        extensions.forEach(extension => {
+            this.modelLoaders[extension.toLowerCase()] = {
+                label,
+                load,
+                convertMaterials: options.convertMaterials || false,
+                unit: options.unit || 'm'
+            };
+        });
+    }
+
+    getModelLoader(path) {
+        const extension = path.split('.').pop().toLowerCase();
+        return this.modelLoaders[extension] || null;
+    }
+
+    getSupportedModelFormats() {
+        return [...new Set(Object.values(this.modelLoaders).map(entry => entry.label))].join(', ');
+    }
+
+    loadDefaultHDRI() {
+        this.loadHDRI('studio');
+    }
+
+    /**
+     * Analyze an HDRI for its bright light lobes (sun, softboxes, windows)
+     * This mimics Cinema 4D/Redshift HDRI + Sun rig behavior, but derives the
+     * sun's color, energy and size from the image instead of a single pixel
+     * @param {THREE.Texture} texture - Equirectangular HDR texture
+     * @param {number} maxLights - Maximum number of lobes to extract
+     * @returns {{lights: Array<{direction: THREE.Vector3, color: THREE.Color, solidAngle: number,
+     *   angularRadius: number, energy: number}>, meanLuminance: number, totalEnergy: number}}
+     */
+    analyzeHDRILighting(texture, maxLights = 3) {
+        console.log('🔍 Analyzing HDRI light lobes (sun extraction)...');
+
+        // For HDR textures, we'll sample at lower resolution for performance
+        const sampleWidth = 512;
+        const sampleHeight = 256;
+
+        // Create a temporary scene to render the HDRI texture
+        const tempScene = new THREE.Scene();
+        const tempCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+        // Create a plane with the HDRI texture
+        const geometry = new THREE.PlaneGeometry(2, 2);
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            toneMapped: false // Important: we want raw HDR values
+        });
+        const plane = new THREE.Mesh(geometry, material);
+        tempScene.add(plane);
+
+        // Render to a render target that we can read
+        const renderTarget = new THREE.WebGLRenderTarget(sampleWidth, sampleHeight, {
+            type: THREE.FloatType, // Use float to preserve HDR values
+            format: THREE.RGBAFormat
+        });
+
+        this.renderer.setRenderTarget(renderTarget);
+        this.renderer.render(tempScene, tempCamera);
+
+        // Read pixels (row 0 is texture v = 0, the bottom of the sphere)
+        const pixelBuffer = new Float32Array(sampleWidth * sampleHeight * 4);
+        this.renderer.readRenderTargetPixels(renderTarget, 0, 0, sampleWidth, sampleHeight, pixelBuffer);
+
+        // Reset render target
+        this.renderer.setRenderTarget(null);
+
+        // Cleanup
+        renderTarget.dispose();
+        geometry.dispose();
+        material.dispose();
+
+        // Luminance (Rec. 709) and solid angle per pixel (rows shrink towards the poles)
+        const pixelCount = sampleWidth * sampleHeight;
+        const luminance = new Float32Array(pixelCount);
+        const rowSolidAngle = new Float32Array(sampleHeight);
+        let totalEnergy = 0;
+
+        for (let y = 0; y < sampleHeight; y++) {
+            const latitude = ((y + 0.5) / sampleHeight - 0.5) * Math.PI;
+            rowSolidAngle[y] = (2 * Math.PI / sampleWidth) * (Math.PI / sampleHeight) * Math.cos(latitude);
+
+            for (let x = 0; x < sampleWidth; x++) {
+                const i = y * sampleWidth + x;
+                const idx = i * 4;
+                luminance[i] = 0.2126 * pixelBuffer[idx] + 0.7152 * pixelBuffer[idx + 1] + 0.0722 * pixelBuffer[idx + 2];
+                totalEnergy += luminance[i] * rowSolidAngle[y];
+            }
+        }
+
+        const meanLuminance = totalEnergy / (4 * Math.PI);
+        const assigned = new Uint8Array(pixelCount);
+        const lights = [];
+
+        while (lights.length < maxLights) {
+            // Seed: brightest pixel not yet part of a lobe
+            let seed = -1;
+            for (let i = 0; i < pixelCount; i++) {
+                if (!assigned[i] && (seed < 0 || luminance[i] > luminance[seed])) {
+                    seed = i;
+                }
+            }
+
+            // Secondary lobes must stand out from the environment
+            if (seed < 0 || (lights.length > 0 && luminance[seed] < meanLuminance * 4)) break;
+
+            const lobe = this.growHDRILobe(seed, luminance, pixelBuffer, rowSolidAngle, assigned,
+                sampleWidth, sampleHeight, Math.max(luminance[seed] * 0.1, meanLuminance * 2));
+
+            // Ignore secondary lobes carrying little energy compared to the sun
+            if (lights.length > 0 && lobe.energy < lights[0].energy * 0.1) break;
+
+            lights.push(lobe);
+        }
+
+        lights.forEach((light, index) => {
+            console.log(`  ✓ Lobe ${index}: direction(${light.direction.x.toFixed(3)}, ${light.direction.y.toFixed(3)}, ${light.direction.z.toFixed(3)}), ` +
+                `color #${light.color.getHexString()}, solid angle ${light.solidAngle.toExponential(2)} sr, energy ${light.energy.toFixed(2)}`);
+        });
+
+        return { lights, meanLuminance, totalEnergy };
+    }
+
+    /**
+     * Flood-fill a bright region from a seed pixel and measure it
+     * Neighbors wrap horizontally (longitude) and clamp vertically (poles)
+     */
+    growHDRILobe(seed, luminance, pixelBuffer, rowSolidAngle, assigned, width, height, threshold) {
+        const directionSum = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+        let r = 0, g = 0, b = 0;
+        let solidAngle = 0;
+        let energy = 0;
+
+        const stack = [seed];
+        assigned[seed] = 1;
+
+        while (stack.length > 0) {
+            const i = stack.pop();
+            const x = i % width;
+            const y = (i - x) / width;
+            const dOmega = rowSolidAngle[y];
+            const weight = luminance[i] * dOmega;
+
+            r += pixelBuffer[i * 4] * dOmega;
+            g += pixelBuffer[i * 4 + 1] * dOmega;
+            b += pixelBuffer[i * 4 + 2] * dOmega;
+            solidAngle += dOmega;
+            energy += weight;
+
+            // Energy-weighted centroid
+            direction.copy(this.equirectUVToDirection((x + 0.5) / width, (y + 0.5) / height));
+            directionSum.addScaledVector(direction, weight);
+
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = (x + dx + width) % width;
+                    const n = ny * width + nx;
+                    if (!assigned[n] && luminance[n] >= threshold) {
+                        assigned[n] = 1;
+                        stack.push(n);
+                    }
+                }
+            }
+        }
+
+        // Average color, normalized so the brightest channel is 1
+        const maxChannel = Math.max(r, g, b) || 1;
+
+        return {
+            direction: directionSum.lengthSq() > 0 ? directionSum.normalize() : direction,
+            color: new THREE.Color(r / maxChannel, g / maxChannel, b / maxChannel),
+            solidAngle,
+            angularRadius: Math.sqrt(solidAngle / Math.PI), // Radius of a disk with the same solid angle
+            energy // Irradiance the lobe delivers to a surface facing it
+        };
+    }
+
+    /**
+     * Convert equirectangular UV coordinates to 3D direction vector
+     * Uses the same convention as three.js equirectUv(), so the sun lines up
+     * with the bright spot in reflections and the HDRI background
+     * @param {number} u - Horizontal coordinate (0 to 1)
+     * @param {number} v - Vertical texture coordinate (0 = straight down, 1 = straight up)
+     * @returns {THREE.Vector3} - Normalized direction vector
+     */
+    equirectUVToDirection(u, v) {
+        // Convert UV to spherical coordinates
+        const phi = (u - 0.5) * Math.PI * 2; // Longitude: -π to π
+        const theta = (v - 0.5) * Math.PI;    // Latitude: -π/2 to π/2
+
+        // Convert spherical to Cartesian coordinates
+        const x = Math.cos(theta) * Math.cos(phi);
+        const y = Math.sin(theta);
+        const z = Math.cos(theta) * Math.sin(phi);
+
+        return new THREE.Vector3(x, y, z).normalize();
+    }
+
+    /**
+     * Shadow blur (PCF radius) for a light lobe's angular size
+     * Larger sources give softer shadows; scaled so softness is
+     * independent of shadow map resolution
+     */
+    getShadowRadiusForLobe(lobe) {
+        const texelsPerRadian = 200 * (this.shadowQuality / 2048);
+        return THREE.MathUtils.clamp(1 + lobe.angularRadius * texelsPerRadian, 1, 12);
+    }
+
+    /**
+     * Light intensity for a lobe from its share of the environment's energy,
+     * so bright and dim HDRIs land on the same 0-5 sun intensity scale
+     */
+    getLightIntensityForLobe(lobe, analysis) {
+        const maxIntensity = 5; // Sun intensity slider range
+        const share = analysis.totalEnergy > 0 ? lobe.energy / analysis.totalEnergy : 0;
+        return Math.min(share * maxIntensity, maxIntensity);
+    }
+
+    /**
+     * Apply HDRI analysis to the light rig: sun color, intensity and shadow
+     * softness (when matching is enabled) and secondary lights
+     */
+    applyHDRILightingAnalysis(analysis) {
+        this.hdriLighting = analysis;
+        const primary = analysis.lights[0];
+
+        if (this.sunAutoMatch && primary) {
+            this.sunColor.copy(primary.color);
+            this.sunIntensity = this.getLightIntensityForLobe(primary, analysis);
+            this.sunLight.shadow.radius = this.getShadowRadiusForLobe(primary);
+
+            const slider = document.getElementById('sun-intensity');
+            if (slider) {
+                slider.value = this.sunIntensity;
+                document.getElementById('sun-intensity-value').textContent = this.sunIntensity.toFixed(1);
+                this.historyControlValues.set('sun-intensity', slider.value);
+            }
+
+            console.log(`  ✓ Sun matched to HDRI: color #${this.sunColor.getHexString()}, intensity ${this.sunIntensity.toFixed(2)}, shadow radius ${this.sunLight.shadow.radius.toFixed(1)}`);
+        }
+
+        this.updateSecondaryLights();
+    }
+
+    /**
+     * Rebuild directional lights for the next-brightest HDRI lobes
+     */
+    updateSecondaryLights() {
+        this.secondaryLights.forEach(light => {
+            this.scene.remove(light.target);
+            this.scene.remove(light);
+            light.dispose();
+        });
+        this.secondaryLights = [];
+
+        if (!this.secondaryLightsEnabled || !this.hdriLighting) return;
+
+        this.hdriLighting.lights.slice(1).forEach(lobe => {
+            const light = new THREE.DirectionalLight(lobe.color, this.getLightIntensityForLobe(lobe, this.hdriLighting));
+            light.userData.hdriDirection = lobe.direction.clone();
+            this.scene.add(light);
+            this.scene.add(light.target);
+            this.secondaryLights.push(light);
+        });
+
+        this.updateSunLightPosition();
+        console.log(`  ✓ ${this.secondaryLights.length} secondary lights from HDRI`);
+    }
+
+    /**
+     * Update sun light position based on detected direction and current HDRI rotation
+     */
+    updateSunLightPosition() {
+        if (!this.sunLight) return;
+
+        // Apply HDRI rotation to sun direction
+        const rotationRadians = this.hdriRotation * Math.PI / 180;
+        const yAxis = new THREE.Vector3(0, 1, 0);
+        const rotatedDirection = this.sunDirection.clone();
+        rotatedDirection.applyAxisAngle(yAxis, rotationRadians);
+
+        // Position sun light far from origin in the detected direction
+        const distance = 20; // Far enough to act as directional light
+        this.sunLight.position.copy(rotatedDirection.multiplyScalar(distance));
+
+        // Always point at scene center
+        this.sunLight.target.position.set(0, 0, 0);
+        this.sunLight.target.updateMatrixWorld();
+
+        // Update intensity and color (white unless matched to the HDRI)
+        this.sunLight.intensity = this.sunIntensity;
+        this.sunLight.color.copy(this.sunColor);
+
+        // Show/hide based on enabled state
+        this.sunLight.visible = this.sunEnabled;
+
+        // Secondary lights follow the same HDRI rotation
+        this.secondaryLights.forEach(light => {
+            light.position.copy(light.userData.hdriDirection).applyAxisAngle(yAxis, rotationRadians).multiplyScalar(distance);
+            light.target.updateMatrixWorld();
+            light.visible = this.sunEnabled;
+        });
+
+        console.log(`  ✓ Sun light updated: position(${this.sunLight.position.x.toFixed(2)}, ${this.sunLight.position.y.toFixed(2)}, ${this.sunLight.position.z.toFixed(2)})`);
+    }
+    
+    /**
+     * Register an uploaded .hdr/.exr file as a selectable HDRI and load it
+     * @param {File} file
+     */
+    addCustomHDRI(file) {
+        const format = file.name.split('.').pop().toLowerCase();
+        if (format !== 'hdr' && format !== 'exr') {
+            console.error('Unsupported HDRI format');
+            this.showError({
+                title: "Couldn't load HDRI",
+                file: file.name,
+                reason: 'Unsupported format',
+                details: 'Please upload an equirectangular .hdr or .exr file.'
+            });
+            return;
+        }
+
+        const key = `custom-${++this.customHDRICount}`;
+        this.customHDRIs[key] = {
+            name: file.name,
+            url: URL.createObjectURL(file),
+            format
+        };
+
+        // Add as a selectable entry in the preset dropdown
+        const group = document.getElementById('hdri-custom-group');
+        if (group) {
+            group.appendChild(new Option(file.name, key));
+            group.hidden = false;
+            document.getElementById('hdri-preset').value = key;
+        }
+
+        console.log(`🎨 Custom HDRI added: ${file.name} (${format.toUpperCase()})`);
+        this.commitHistoryControl('hdri-preset');
+        this.loadHDRI(key);
+    }
+
+    /**
+     * Load an HDRI preset, bundled copy, generated environment or uploaded HDRI
+     * @param {string} presetName - Key in hdriPresets, localHDRIs, proceduralEnvironments or customHDRIs
+     * @param {string} [requestedPreset] - Preset the user picked, when loading one of its fallbacks
+     * @returns {Promise<boolean>} Resolves once the environment is applied (false if it failed or was superseded)
+     */
+    loadHDRI(presetName, requestedPreset = presetName) {
+        const loadId = ++this.hdriLoadId;
+        const taskId = `hdri-${loadId}`;
+
+        if (this.proceduralEnvironments[presetName]) {
+            this.loadProceduralHDRI(presetName);
+            return Promise.resolve(true);
+        }
+
+        const custom = this.customHDRIs[presetName];
+        const local = this.localHDRIs[presetName];
+        const hdriUrl = custom ? custom.url : local ? local.url : this.hdriPresets[presetName];
+        const loader = local || (custom && custom.format === 'exr') ? this.exrLoader : this.rgbeLoader;
+        const displayName = custom ? custom.name : local ? local.name : presetName;
+        
+        console.log(`🔄 Loading HDRI: ${displayName}...`);
+        console.log(`URL: ${hdriUrl}`);
+        this.startLoadingTask(taskId, `HDRI: ${displayName}`);
+        
+        return new Promise((resolve) => loader.load(
+            hdriUrl,
+            (texture) => {
+                this.finishLoadingTask(taskId);
+
+                // Another environment was picked while this one was loading
+                if (loadId !== this.hdriLoadId) {
+                    texture.dispose();
+                    resolve(false);
+                    return;
+                }
+
+                console.log(`✓ HDRI texture loaded, generating environment map...`);
+                this.applyHDRITexture(texture, presetName);
+                resolve(true);
+            },
+            (progress) => {
+                if (progress.total > 0) {
+                    const percent = (progress.loaded / progress.total * 100).toFixed(0);
+                    console.log(`Loading HDRI: ${percent}%`);
+                    this.updateLoadingTask(taskId, progress.loaded / progress.total);
+                }
+            },
+            (error) => {
+                console.error('❌ Error loading HDRI:', error);
+                this.finishLoadingTask(taskId);
+                if (loadId !== this.hdriLoadId) {
+                    resolve(false);
+                    return;
+                }
+
+                if (custom) {
+                    this.showError({
+                        title: "Couldn't load HDRI",
+                        file: displayName,
+                        reason: this.classifyLoadError(error),
+                        details: this.getErrorMessage(error),
+                        retry: () => this.loadHDRI(presetName)
+                    });
+                    resolve(false);
+                    return;
+                }
+
+                // Preset unreachable (offline / air-gapped): try the bundled copy, then a generated environment
+                const fallback = this.hdriFallbacks[presetName] || 'studio-offline';
+                const bundled = this.localHDRIs[fallback];
+                console.warn(`⚠️ Could not fetch ${presetName}, switching to fallback environment: ${fallback}`);
+                this.showError({
+                    title: 'HDRI unavailable, using fallback environment',
+                    file: hdriUrl,
+                    reason: this.classifyLoadError(error),
+                    details: bundled
+                        ? `Switched to the bundled low-resolution "${bundled.name}" environment. Retry once the network is back.`
+                        : `Switched to the generated "${fallback}" environment. Retry once the network is back.`,
+                    retry: () => {
+                        document.getElementById('hdri-preset').value = requestedPreset;
+                        this.syncHistoryControlValues();
+                        return this.loadHDRI(requestedPreset);
+                    }
+                });
+                document.getElementById('hdri-preset').value = fallback;
+                this.syncHistoryControlValues(); // Automatic switch, not an undo step
+                resolve(this.loadHDRI(fallback, requestedPreset));
+            }
+        ));
+    }
+
+    loadProceduralHDRI(presetName) {
+        console.log(`🔄 Generating offline HDRI: ${presetName}...`);
+
+        const definition = this.proceduralEnvironments[presetName];
+        const texture = this.createProceduralEnvironment(definition);
+        this.applyHDRITexture(texture, presetName);
+    }
+
+    /**
+     * Use a loaded or generated equirectangular texture as the scene environment
+     * and position the sun from calibration, generation data or automatic detection
+     */
+    applyHDRITexture(texture, presetName) {
+        const custom = this.customHDRIs[presetName];
+        const local = this.localHDRIs[presetName];
+        const procedural = this.proceduralEnvironments[presetName];
+        const displayName = custom ? custom.name : local ? local.name : presetName;
+
+        // Set texture mapping for environment
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+        
+        // CRITICAL: Store original texture for rotation
+        // We clone it so we can regenerate with different rotations
+        if (this.originalHDRITexture) {
+            this.originalHDRITexture.dispose();
+        }
+        this.originalHDRITexture = texture.clone();
+        this.originalHDRITexture.mapping = THREE.EquirectangularReflectionMapping;
+        
+        console.log(`✓ Original HDRI texture stored for rotation`);
+
+        // Light lobes (cached per preset, the analysis reads back the whole HDRI)
+        if (!this.hdriAnalysisCache[presetName]) {
+            this.hdriAnalysisCache[presetName] = this.analyzeHDRILighting(texture);
+        }
+        const analysis = this.hdriAnalysisCache[presetName];
+        
+        // Use calibrated sun position if available, otherwise analyze automatically
+        if (this.hdriSunPositions[presetName]) {
+            // Use manually calibrated position (more accurate)
+            const calibratedData = this.hdriSunPositions[presetName];
+            this.sunDirection = this.equirectUVToDirection(calibratedData.uv[0], 1 - calibratedData.uv[1]);
+            console.log(`✓ Using calibrated sun position for ${presetName}`);
+            console.log(`  UV: (${calibratedData.uv[0].toFixed(4)}, ${calibratedData.uv[1].toFixed(4)})`);
+            console.log(`  Direction: (${this.sunDirection.x.toFixed(4)}, ${this.sunDirection.y.toFixed(4)}, ${this.sunDirection.z.toFixed(4)})`);
+        } else if (procedural) {
+            // Generated environment: sun position is known exactly
+            this.sunDirection = this.azimuthElevationToDirection(procedural.sun.azimuth, procedural.sun.elevation);
+            console.log(`✓ Using generated sun position for ${presetName}`);
+        } else if (analysis.lights.length > 0) {
+            // Fallback to automatic detection for custom and bundled HDRIs
+            console.log(`⚠️ No calibration data for ${displayName}, using automatic detection`);
+            this.sunDirection = analysis.lights[0].direction.clone();
+        }
+
+        // Sun color, intensity, shadow softness and secondary lights from the HDRI
+        this.applyHDRILightingAnalysis(analysis);
+
+        // Generate environment with current rotation
+        this.generateRotatedEnvironment(texture, this.hdriRotation * Math.PI / 180);
+
+        // Update sun light position based on detected/calibrated direction
+        this.updateSunLightPosition();
+
+        // If models exist, reapply environment to materials
+        if (this.stageObjects.length > 0) {
+            this.applyEnvironmentToModel();
+        }
+
+        console.log(`✅ HDRI fully loaded: ${displayName} with sun extraction`);
+    }
+
+    /**
+     * Direction for an equirect longitude/latitude, using the same convention
+     * as three.js equirectUv(): u from atan2(z, x), v from asin(y)
+     * @param {number} azimuth - Longitude in degrees
+     * @param {number} elevation - Degrees above the horizon
+     * @returns {THREE.Vector3}
+     */
+    azimuthElevationToDirection(azimuth, elevation) {
+        const longitude = azimuth * Math.PI / 180;
+        const latitude = elevation * Math.PI / 180;
+
+        return new THREE.Vector3(
+            Math.cos(latitude) * Math.cos(longitude),
+            Math.sin(latitude),
+            Math.cos(latitude) * Math.sin(longitude)
+        );
+    }
+
+    /**
+     * Generate an equirectangular HDR environment in code (half-float DataTexture)
+     * @param {Object} definition - Entry from this.proceduralEnvironments
+     * @returns {THREE.DataTexture}
+     */
+    createProceduralEnvironment(definition) {
+        const width = 512;
+        const height = 256;
+        const data = new Uint16Array(width * height * 4);
+        const sunDirection = this.azimuthElevationToDirection(definition.sun.azimuth, definition.sun.elevation);
+        const direction = new THREE.Vector3();
+        const color = new THREE.Color();
+        const toHalf = THREE.DataUtils.toHalfFloat;
+
+        for (let y = 0; y < height; y++) {
+            // Row 0 is texture v = 0 (straight down)
+            const latitude = ((y + 0.5) / height - 0.5) * Math.PI;
+
+            for (let x = 0; x < width; x++) {
+                const longitude = ((x + 0.5) / width - 0.5) * Math.PI * 2;
+                direction.set(
+                    Math.cos(latitude) * Math.cos(longitude),
+                    Math.sin(latitude),
+                    Math.cos(latitude) * Math.sin(longitude)
+                );
+
+                if (definition.type === 'studio') {
+                    this.shadeStudioEnvironment(longitude, latitude, direction, definition, color);
+                } else {
+                    this.shadeSkyEnvironment(direction, sunDirection, definition, color);
+                }
+
+                const idx = (y * width + x) * 4;
+                data[idx] = toHalf(color.r);
+                data[idx + 1] = toHalf(color.g);
+                data[idx + 2] = toHalf(color.b);
+                data[idx + 3] = toHalf(1);
+            }
+        }
+
+        const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.HalfFloatType);
+        texture.colorSpace = THREE.LinearSRGBColorSpace;
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearFilter;
+        texture.generateMipmaps = false;
+        texture.needsUpdate = true;
+
+        return texture;
+    }
+
+    /**
+     * Studio: dark floor, soft gray walls and rectangular softboxes
+     * (key light at the sun position, plus fill, rim and overhead)
+     */
+    shadeStudioEnvironment(longitude, latitude, direction, definition, out) {
+        const smoothstep = THREE.MathUtils.smoothstep;
+        const softboxes = [
+            { azimuth: definition.sun.azimuth, elevation: definition.sun.elevation, width: 30, height: 20, intensity: 8 },
+            { azimuth: definition.sun.azimuth - 110, elevation: 20, width: 40, height: 30, intensity: 2.5 },
+            { azimuth: definition.sun.azimuth + 160, elevation: 35, width: 20, height: 40, intensity: 5 }
+        ];
+
+        // Walls brighten towards the ceiling, floor stays dark
+        let value = 0.05 + 0.15 * smoothstep(direction.y, -0.2, 0.6);
+
+        // Overhead panel
+        value += 1.5 * smoothstep(direction.y, 0.85, 0.97);
+
+        softboxes.forEach(box => {
+            // Angular distance from the box center, longitude wrapped to [-π, π]
+            let dLon = longitude - box.azimuth * Math.PI / 180;
+            dLon = Math.atan2(Math.sin(dLon), Math.cos(dLon)) * Math.cos(latitude);
+            const dLat = latitude - box.elevation * Math.PI / 180;
+
+            const halfWidth = box.width * Math.PI / 360;
+            const halfHeight = box.height * Math.PI / 360;
+            const falloff = smoothstep(1 - Math.abs(dLon) / halfWidth, 0, 0.15) *
+                smoothstep(1 - Math.abs(dLat) / halfHeight, 0, 0.15);
+
+            value += box.intensity * falloff;
+        });
+
+        out.setRGB(value, value, value);
+    }
+
+    /**
+     * Sky: horizon-to-zenith gradient, ground, and a sun disk with glow
+     */
+    shadeSkyEnvironment(direction, sunDirection, definition, out) {
+        const smoothstep = THREE.MathUtils.smoothstep;
+        const [zr, zg, zb] = definition.zenith;
+        const [hr, hg, hb] = definition.horizon;
+        const [gr, gg, gb] = definition.ground;
+        const [sr, sg, sb] = definition.sunColor;
+
+        if (direction.y >= 0) {
+            const t = Math.pow(direction.y, 0.5);
+            out.setRGB(hr + (zr - hr) * t, hg + (zg - hg) * t, hb + (zb - hb) * t);
+        } else {
+            // Blend from a darkened horizon into the ground just below the horizon line
+            const t = smoothstep(-direction.y, 0, 0.1);
+            out.setRGB(
+                hr * 0.5 + (gr - hr * 0.5) * t,
+                hg * 0.5 + (gg - hg * 0.5) * t,
+                hb * 0.5 + (gb - hb * 0.5) * t
+            );
+        }
+
+        // Sun disk (~1.5° radius) and atmospheric glow
+        const angle = Math.acos(THREE.MathUtils.clamp(direction.dot(sunDirection), -1, 1));
+        const disk = definition.sunStrength * (1 - smoothstep(angle, 0.022, 0.03));
+        const glow = 0.6 * Math.exp(-angle * 8);
+
+        out.r += sr * (disk + glow);
+        out.g += sg * (disk + glow);
+        out.b += sb * (disk + glow);
+    }
+    
+    generateRotatedEnvironment(texture, rotationRadians) {
+        console.log(`🔄 Generating environment with rotation: ${(rotationRadians * 180 / Math.PI).toFixed(1)}°`);
+        
+        // Always generate PMREM from original equirectangular as-is
+        if (this.currentHDRI) {
+            this.currentHDRI.dispose();
+        }
+        const envMap = this.pmremGenerator.fromEquirectangular(texture).texture;
+        
+        // Apply to scene lighting (always active for IBL)
+        this.scene.environment = envMap;
+        
+        // Store the HDRI texture
+        this.currentHDRI = envMap;
+        
+        // Rotate the cube map using environmentRotation/backgroundRotation (r162+)
+        if (this.scene.environmentRotation) {
+            this.scene.environmentRotation.set(0, rotationRadians, 0);
+        }
+        if (this.scene.backgroundRotation) {
+            this.scene.backgroundRotation.set(0, rotationRadians, 0);
+        }
+        
+        // Use centralized background management for scene.background
+        this.updateCanvasBackground();
+        
+        // Apply to existing model materials (envMap comes from scene.environment)
+        if (this.stageObjects.length > 0) {
+            this.applyEnvironmentToModel();
+        }
+        
+        console.log(`✓ Environment applied (lighting always on)`);
+    }
+    
+    updateHDRISettings(forceRegenerate = false) {
+        const rotationRadians = this.hdriRotation * Math.PI / 180;
+        
+        console.log(`🔄 Updating HDRI settings...`);
+        console.log(`  - Rotation: ${this.hdriRotation}°`);
+        console.log(`  - Intensity: ${this.hdriIntensity}`);
+        
+        // Preferred: rotate cube map via environmentRotation (fast, correct)
+        if (this.scene.environmentRotation) {
+            this.scene.environmentRotation.set(0, rotationRadians, 0);
+        }
+        if (this.scene.backgroundRotation) {
+            this.scene.backgroundRotation.set(0, rotationRadians, 0);
+        }
+        
+        // Optionally regenerate env (fallback, usually not needed now)
+        if (this.originalHDRITexture && forceRegenerate) {
+            this.generateRotatedEnvironment(this.originalHDRITexture, rotationRadians);
+        }
+
+        // Intensity scales the visible HDRI background like the lighting (exposure is separate)
+        this.scene.backgroundIntensity = this.hdriIntensity;
+        
+        // Update all material env map intensities
+        let materialsUpdated = 0;
+        this.scene.traverse((child) => {
+            if (child.isMesh && child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(mat => {
+                    mat.envMapIntensity = this.hdriIntensity;
+                    mat.needsUpdate = true;
+                    materialsUpdated++;
+                });
+            }
+        });
+        
+        console.log(`  ✓ Updated ${materialsUpdated} materials with intensity`);
+        
+        // Update sun light position to match HDRI rotation
+        this.updateSunLightPosition();
+
+        // Apply user's manual model rotations in WORLD/GLOBAL space (independent of HDRI rotation)
+        if (this.stageObjects.length > 0) {
+            this.applyModelRotation();
+            console.log(`  ✓ Model rotation applied in WORLD SPACE`);
+        }
+
+        console.log(`✅ HDRI settings updated successfully`);
+    }
+
+    /**
+     * Set each object's rotation from its rotation values plus the turntable offset
+     * Rotations are ALWAYS around world axes, not local object axes
+     */
+    applyModelRotation() {
+        this.stageObjects.forEach(object => {
+            const [userRotX, userRotY, userRotZ] = object.rotation.map(degrees => degrees * Math.PI / 180);
+
+            // WORLD-SPACE ROTATION: Build rotation matrix from world axes
+            const rotMatrix = new THREE.Matrix4();
+            const rotX = new THREE.Matrix4().makeRotationX(userRotX);
+            const rotY = new THREE.Matrix4().makeRotationY(userRotY);
+            const rotZ = new THREE.Matrix4().makeRotationZ(userRotZ);
+
+            // Apply in order: Y (yaw) → X (pitch) → Z (roll) around WORLD axes
+            rotMatrix.multiply(rotY).multiply(rotX).multiply(rotZ);
+
+            // Turntable spin is applied last, about its world axis (each object spins in place)
+            const userRotation = new THREE.Quaternion().setFromRotationMatrix(rotMatrix);
+            object.container.quaternion.copy(this.turntableQuaternion).multiply(userRotation);
+        });
+    }
+
+    getTurntableAxis() {
+        return new THREE.Vector3(
+            this.turntableAxis === 'x' ? 1 : 0,
+            this.turntableAxis === 'y' ? 1 : 0,
+            this.turntableAxis === 'z' ? 1 : 0
+        );
+    }
+
+    /**
+     * Turntable angle (radians) at a position within one cycle
+     * Spin covers a full turn; ping-pong swings across the arc and back with easing
+     */
+    getTurntableCycleAngle(progress) {
+        if (this.turntableMode !== 'pingpong') {
+            return progress * Math.PI * 2;
+        }
+
+        const phase = ((progress % 1) + 1) % 1;
+        const t = phase < 0.5 ? phase * 2 : 2 - phase * 2;
+        const eased = {
+            linear: t,
+            sine: 0.5 - 0.5 * Math.cos(Math.PI * t),
+            cubic: t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+        }[this.turntableEasing] ?? t;
+
+        return (eased - 0.5) * THREE.MathUtils.degToRad(this.turntableArc);
+    }
+
+    /**
+     * Cycle position where the turntable starts: ping-pong starts mid-arc
+     * so it swings evenly around the current orientation
+     */
+    getTurntableStartProgress() {
+        return this.turntableMode === 'pingpong' ? 0.25 : 0;
+    }
+
+    resetTurntableCycle() {
+        this.turntableProgress = this.getTurntableStartProgress();
+    }
+
+    /**
+     * Move the turntable offset into the objects' rotation values, so the
+     * sliders and saved scene states show where the turntable stopped
+     */
+    foldTurntableRotation() {
+        if (this.turntableQuaternion.equals(new THREE.Quaternion())) return;
+
+        const euler = new THREE.Euler();
+        this.stageObjects.forEach(object => {
+            // The sliders rotate Y → X → Z about world axes, which is Euler order 'YXZ'
+            euler.setFromQuaternion(object.container.quaternion, 'YXZ');
+            object.rotation = [euler.x, euler.y, euler.z].map(radians => {
+                const degrees = THREE.MathUtils.radToDeg(radians);
+                return Math.round(((degrees % 360) + 360) % 360 * 100) / 100;
+            });
+        });
+
+        this.turntableQuaternion.identity();
+        this.applyModelRotation();
+        this.syncTransformControls();
+        this.groundNeedsUpdate = true;
+    }
+
+    /**
+     * Advance the turntable by real elapsed time (independent of refresh rate)
+     */
+    updateTurntable(delta) {
+        const cycleDegrees = this.turntableMode === 'pingpong' ? this.turntableArc * 2 : 360;
+        const previous = this.turntableProgress;
+        const next = previous + delta * this.turntableSpeed / cycleDegrees;
+        const deltaAngle = this.getTurntableCycleAngle(next) - this.getTurntableCycleAngle(previous);
+        this.turntableProgress = next % 1;
+
+        if (this.turntableTarget === 'camera') {
+            // Orbit the camera around the orbit target's vertical axis
+            const offset = this.camera.position.clone().sub(this.controls.target);
+            offset.applyAxisAngle(new THREE.Vector3(0, 1, 0), deltaAngle);
+            this.camera.position.copy(this.controls.target).add(offset);
+            return;
+        }
+
+        const turn = new THREE.Quaternion().setFromAxisAngle(this.getTurntableAxis(), deltaAngle);
+        this.turntableQuaternion.premultiply(turn);
+        this.applyModelRotation();
+
+        // Spinning about X or Z moves the model's bottom
+        if (this.turntableAxis !== 'y') {
+            this.groundNeedsUpdate = true;
+        }
+    }
+
+    setupTurntableControls() {
+        const updateSpeedLabel = () => {
+            document.getElementById('turntable-speed-value').textContent =
+                `${this.turntableSpeed.toFixed(0)}°/s (${(360 / this.turntableSpeed).toFixed(1)} s/rev)`;
+        };
+
+        document.getElementById('turntable-toggle').addEventListener('change', (e) => {
+            this.turntableEnabled = e.target.checked;
+            if (this.turntableEnabled) {
+                this.resetTurntableCycle();
+            } else {
+                this.foldTurntableRotation();
+            }
+        });
+
+        document.getElementById('turntable-speed').addEventListener('input', (e) => {
+            this.turntableSpeed = parseFloat(e.target.value);
+            updateSpeedLabel();
+        });
+
+        const selects = {
+            'turntable-axis': 'turntableAxis',
+            'turntable-mode': 'turntableMode',
+            'turntable-easing': 'turntableEasing',
+            'turntable-target': 'turntableTarget'
+        };
+        Object.entries(selects).forEach(([id, property]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this[property] = e.target.value;
+                this.resetTurntableCycle();
+                this.updateLoopExportInfo();
+            });
+        });
+
+        document.getElementById('turntable-arc').addEventListener('input', (e) => {
+            this.turntableArc = parseFloat(e.target.value);
+            document.getElementById('turntable-arc-value').textContent = `${this.turntableArc}°`;
+            this.updateLoopExportInfo();
+        });
+
+        updateSpeedLabel();
+    }
+    
+    loadModel(file) {
+        this.loadModelFiles([file]);
+    }
+
+    /**
+     * Load models from several files: split glTFs (.gltf + .bin + textures),
+     * FBX files with their textures, or .zip archives containing any of these
+     * Every model file becomes its own stage object next to the objects already
+     * loaded; the other files are shared resources all of them can reference
+     * @param {FileList|File[]} fileList - Files from the upload input or a drop
+     * @param {Object} [options]
+     * @param {boolean} [options.recordHistory=true] - Add an undo step for this load
+     * @param {string} [options.modelPath] - Load only this model file (retries)
+     * @param {Object} [options.replace] - Stage object the loaded one takes the place of (retries)
+     */
+    async loadModelFiles(fileList, options = {}) {
+        let entries;
+        try {
+            entries = await this.expandModelFiles(Array.from(fileList));
+        } catch (error) {
+            console.error('❌ Error reading uploaded files:', error);
+            this.showError({
+                title: "Couldn't read uploaded files",
+                file: Array.from(fileList).map(file => file.name).join(', '),
+                reason: 'Unreadable file or archive',
+                details: this.getErrorMessage(error),
+                retry: () => this.loadModelFiles(fileList, options)
+            });
+            return;
+        }
+
+        const modelEntries = entries.filter(entry => this.isModelFile(entry.path) &&
+            (options.modelPath === undefined || entry.path === options.modelPath));
+        if (modelEntries.length === 0) {
+            console.error('Unsupported file format');
+            this.showError({
+                title: "Couldn't load model",
+                file: entries.map(entry => entry.path).join(', '),
+                reason: 'Unsupported format',
+                details: `Please upload a supported model file (${this.getSupportedModelFormats()}).`
+            });
+            return;
+        }
+
+        const files = Array.from(fileList);
+        this.hideError();
+
+        const loaded = (await Promise.all(modelEntries.map(entry => this.loadModelEntry(entry, entries, files, options))))
+            .filter(Boolean)
+            .sort((a, b) => this.stageObjects.indexOf(a) - this.stageObjects.indexOf(b)); // Stage order, for redo
+        if (loaded.length === 0) return;
+
+        // A retry swaps out the partially loaded object, keeping its transform
+        const replaced = this.stageObjects.includes(options.replace) ? options.replace : null;
+        const replacedIndex = this.stageObjects.indexOf(replaced);
+        if (replaced) {
+            this.setObjectTransform(loaded[0], this.getObjectTransform(replaced));
+            this.removeStageObject(replaced, { recordHistory: false });
+        }
+
+        // Undo takes the objects off the stage, redo puts the same objects back
+        if (options.recordHistory !== false) {
+            this.pushHistory({
+                label: loaded.length === 1 ? `Load ${loaded[0].name}` : `Load ${loaded.length} models`,
+                undo: () => {
+                    loaded.forEach(object => this.removeStageObject(object, { recordHistory: false }));
+                    if (replaced) this.addStageObject(replaced, replacedIndex);
+                },
+                redo: () => {
+                    if (replaced) this.removeStageObject(replaced, { recordHistory: false });
+                    loaded.forEach(object => this.addStageObject(object));
+                }
+            });
+        }
+    }
+
+    /**
+     * Load one model file of an upload and add it to the stage
+     * @param {{path: string, blob: Blob}} mainEntry - The model file
+     * @param {Array<{path: string, blob: Blob}>} entries - Every uploaded file (resources)
+     * @param {File[]} files - The original upload, for retries
+     * @param {Object} options - Options passed to loadModelFiles
+     * @returns {Promise<Object|null>} The new stage object, or null if loading failed
+     */
+    async loadModelEntry(mainEntry, entries, files, options) {
+        console.log(`📦 Loading ${mainEntry.path} with ${entries.length - 1} resource file(s)`);
+
+        const taskId = `model-${++this.modelLoadId}`;
+        const manager = this.createResourceManager(entries);
+        const format = this.getModelLoader(mainEntry.path);
+        const retryOptions = { ...options, modelPath: mainEntry.path };
+
+        // Read by loadWithProgress
+        manager.reportProgress = (fraction) => this.updateLoadingTask(taskId, fraction);
+
+        this.startLoadingTask(taskId, `Model: ${mainEntry.path}`);
+
+        let model;
+        try {
+            model = await format.load(mainEntry.path, manager);
+        } catch (error) {
+            console.error(`Error loading ${format.label}:`, error);
+            manager.resourceURLs.forEach(url => URL.revokeObjectURL(url));
+            this.finishLoadingTask(taskId);
+            this.showError({
+                title: `Couldn't load ${format.label} model`,
+                file: mainEntry.path,
+                reason: this.classifyLoadError(error, manager.missingResources),
+                details: this.getErrorMessage(error),
+                missing: manager.missingResources,
+                retry: () => this.loadModelFiles(files, retryOptions)
+            });
+            return null;
+        }
+
+        this.finishLoadingTask(taskId);
+
+        // Loaded, but some referenced files (textures, .bin) weren't uploaded
+        if (manager.missingResources.length > 0) {
+            this.showError({
+                title: 'Model loaded with missing resources',
+                file: mainEntry.path,
+                reason: 'Missing resource',
+                details: 'Upload the referenced files together with the model (or as a .zip) and retry.',
+                missing: manager.missingResources,
+                retry: () => this.loadModelFiles(files, { ...retryOptions, replace: object })
+            });
+        }
+
+        if (format.convertMaterials) {
+            this.convertToStandardMaterials(model);
+        }
+
+        const object = this.createStageObject({
+            model,
+            name: mainEntry.path.split('/').pop(),
+            unit: format.unit,
+            resourceURLs: manager.resourceURLs
+        });
+        this.processLoadedModel(object);
+
+        console.log(`${format.label} model loaded successfully`);
+        return object;
+    }
+
+    handleDroppedFiles(fileList) {
+        const files = Array.from(fileList);
+        if (files.length === 0) return;
+
+        const hdriFiles = files.filter(file => /\.(hdr|exr)$/i.test(file.name));
+        if (hdriFiles.length === files.length) {
+            hdriFiles.forEach(file => this.addCustomHDRI(file));
+        } else {
+            this.loadModelFiles(files);
+        }
+    }
+
+    isModelFile(path) {
+        return this.getModelLoader(path) !== null;
+    }
+
+    /**
+     * Flatten uploaded files into { path, blob } entries, unpacking .zip archives
+     * @param {File[]} files
+     * @returns {Promise<Array<{path: string, blob: Blob}>>}
+     */
+    async expandModelFiles(files) {
+        const entries = [];
+
+        for (const file of files) {
+            const path = file.webkitRelativePath || file.name;
+
+            if (!path.toLowerCase().endsWith('.zip')) {
+                entries.push({ path, blob: file });
+                continue;
+            }
+
+            const archive = window.fflate.unzipSync(new Uint8Array(await file.arrayBuffer()));
+            Object.keys(archive).forEach(entryPath => {
+                // Skip directories and macOS metadata
+                if (entryPath.endsWith('/') || entryPath.startsWith('__MACOSX/')) return;
+                entries.push({ path: entryPath, blob: new Blob([archive[entryPath]]) });
+            });
+            console.log(`  ✓ Unpacked ${file.name}: ${Object.keys(archive).length} entries`);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Normalize a relative resource path for lookup: forward slashes,
+     * no "./" segments, ".." resolved, URI-decoded and lowercase
+     */
+    normalizeResourcePath(path) {
+        let decoded = path;
+        try {
+            decoded = decodeURIComponent(path);
+        } catch (error) {
+            // Keep undecodable paths as-is
+        }
+
+        const segments = [];
+        decoded.replace(/\\/g, '/').split('/').forEach(segment => {
+            if (segment === '' || segment === '.') return;
+            if (segment === '..') {
+                segments.pop();
+            } else {
+                segments.push(segment);
+            }
+        });
+
+        return segments.join('/').toLowerCase();
+    }
+
+    /**
+     * Create a LoadingManager that maps relative URIs inside glTF/FBX files
+     * to blob URLs of the uploaded resources
+     */
+    createResourceManager(entries) {
+        const resources = new Map();
+        entries.forEach(entry => {
+            resources.set(this.normalizeResourcePath(entry.path), entry.blob);
+        });
+
+        const blobURLs = new Map();
+        const getBlobURL = (key) => {
+            if (!blobURLs.has(key)) {
+                const url = URL.createObjectURL(resources.get(key));
+                blobURLs.set(key, url);
+                manager.resourceURLs.push(url);
+            }
+            return blobURLs.get(key);
+        };
+
+        const findResource = (url) => {
+            const normalized = this.normalizeResourcePath(url);
+
+            // 1. Exact relative path
+            if (resources.has(normalized)) return normalized;
+
+            // 2. Drop leading folders (archives often have an extra root folder)
+            const segments = normalized.split('/');
+            for (let i = 1; i < segments.length; i++) {
+                const suffix = segments.slice(i).join('/');
+                for (const key of resources.keys()) {
+                    if (key === suffix || key.endsWith('/' + suffix)) return key;
+                }
+            }
+
+            // 3. File name only (FBX often stores absolute paths from the artist's machine)
+            const baseName = segments[segments.length - 1];
+            for (const key of resources.keys()) {
+                if (key.split('/').pop() === baseName) return key;
+            }
+
+            return null;
+        };
+
+        const manager = new THREE.LoadingManager();
+        manager.missingResources = []; // Referenced files that weren't uploaded (for error reporting)
+        manager.resourceURLs = []; // Blob URLs handed out (revoked when the object is removed)
+        manager.setURLModifier((url) => {
+            if (/^(data|blob):/i.test(url)) return url;
+
+            const key = findResource(url);
+            if (key) return getBlobURL(key);
+
+            console.warn(`⚠️ Missing resource for model: ${url}`);
+            if (!manager.missingResources.includes(url)) {
+                manager.missingResources.push(url);
+            }
+            return url;
+        });
+
+        return manager;
+    }
+    
+    /**
+     * Load through a loader created with a resource manager, reporting
+     * progress to the load's task (see loadModelFiles)
+     */
+    loadWithProgress(loader, url) {
+        return loader.loadAsync(url, (progress) => {
+            if (progress.total > 0) {
+                console.log('Loading:', (progress.loaded / progress.total * 100).toFixed(0) + '%');
+                if (loader.manager.reportProgress) loader.manager.reportProgress(progress.loaded / progress.total);
+            }
+        });
+    }
+
+    async loadGLTF(url, manager) {
+        // Decoders for KHR_draco_mesh_compression, EXT_meshopt_compression and KHR_texture_basisu
+        const loader = new window.GLTFLoader(manager)
+            .setDRACOLoader(this.dracoLoader)
+            .setKTX2Loader(this.ktx2Loader)
+            .setMeshoptDecoder(window.MeshoptDecoder);
+
+        const gltf = await this.loadWithProgress(loader, url);
+
+        // Keep clips with the scene (FBX already stores them on the object)
+        gltf.scene.animations = gltf.animations;
+        return gltf.scene;
+    }
+
+    loadFBX(url, manager) {
+        return this.loadWithProgress(new window.FBXLoader(manager), url);
+    }
+
+    /**
+     * Load an OBJ and, when referenced and uploaded, its MTL materials and textures
+     */
+    async loadOBJ(url, manager) {
+        const objLoader = new window.OBJLoader(manager);
+        const text = await this.loadWithProgress(new THREE.FileLoader(manager), url);
+
+        const mtlMatch = text.match(/^mtllib\s+(.+)$/m);
+        if (mtlMatch) {
+            const mtlURL = THREE.LoaderUtils.extractUrlBase(url) + mtlMatch[1].trim();
+            try {
+                const materials = await new window.MTLLoader(manager).loadAsync(mtlURL);
+                materials.preload();
+                objLoader.setMaterials(materials);
+                console.log(`  ✓ MTL materials loaded: ${mtlMatch[1].trim()}`);
+            } catch (error) {
+                console.warn(`⚠️ Could not load MTL ${mtlMatch[1].trim()}, using default materials`, error);
+            }
+        }
+
+        return objLoader.parse(text);
+    }
+
+    /**
+     * Load a geometry-only format (STL, PLY) and wrap it in a mesh
+     * @param {Object} [options]
+     * @param {boolean} [options.allowPoints] - Faceless files (PLY point clouds) become THREE.Points
+     */
+    async loadGeometryModel(loader, url, options = {}) {
+        const geometry = await this.loadWithProgress(loader, url);
+
+        if (options.allowPoints && !geometry.index) {
+            // Point size relative to the cloud so it survives auto-scaling
+            geometry.computeBoundingSphere();
+            return new THREE.Points(geometry, new THREE.PointsMaterial({
+                size: geometry.boundingSphere.radius * 0.005,
+                vertexColors: !!geometry.attributes.color
+            }));
+        }
+
+        if (!geometry.attributes.normal) {
+            geometry.computeVertexNormals();
+        }
+
+        return new THREE.Mesh(geometry, this.createDefaultMaterial(geometry));
+    }
+
+    /**
+     * Neutral PBR material for formats that carry no materials
+     */
+    createDefaultMaterial(geometry) {
+        return new THREE.MeshStandardMaterial({
+            color: 0xb4b4b4,
+            roughness: 0.5,
+            metalness: 0.0,
+            vertexColors: !!(geometry && geometry.attributes.color),
+            envMapIntensity: this.hdriIntensity
+        });
+    }
+
+    /**
+     * Replace Phong/Lambert/Basic materials (OBJ/MTL, FBX, 3MF) with
+     * MeshStandardMaterial so scene.environment IBL applies to them
+     */
+    convertToStandardMaterials(model) {
+        const converted = new Map(); // Source material uuid -> standard material
+
+        const convert = (source, geometry) => {
+            if (!source) return this.createDefaultMaterial(geometry);
+            if (source.isMeshStandardMaterial) return source;
+            if (converted.has(source.uuid)) return converted.get(source.uuid);
+
+            // Phong shininess (0-1000) to roughness approximation
+            const roughness = source.shininess !== undefined
+                ? Math.min(1, Math.sqrt(2 / (source.shininess + 2)))
+                : 0.6;
+
+            const material = new THREE.MeshStandardMaterial({
+                name: source.name,
+                color: source.color ? source.color.clone() : new THREE.Color(0xb4b4b4),
+                map: source.map || null,
+                normalMap: source.normalMap || null,
+                bumpMap: source.bumpMap || null,
+                alphaMap: source.alphaMap || null,
+                aoMap: source.aoMap || null,
+                emissive: source.emissive ? source.emissive.clone() : new THREE.Color(0x000000),
+                emissiveMap: source.emissiveMap || null,
+                transparent: source.transparent,
+                opacity: source.opacity,
+                side: source.side,
+                vertexColors: source.vertexColors,
+                flatShading: source.flatShading || false,
+                roughness,
+                metalness: 0.0
+            });
+
+            converted.set(source.uuid, material);
+            source.dispose();
+            return material;
+        };
+
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+
+            child.material = Array.isArray(child.material)
+                ? child.material.map(mat => convert(mat, child.geometry))
+                : convert(child.material, child.geometry);
+        });
+
+        if (converted.size > 0) {
+            console.log(`  ✓ Converted ${converted.size} materials to MeshStandardMaterial`);
+        }
+    }
+    
+    // === STAGE OBJECTS ===
+
+    /**
+     * Wrap a model for the stage: its container carries the per-object
+     * transform (scale, position, world-space rotation and turntable spin)
+     * @param {Object} options
+     * @param {THREE.Object3D} options.model
+     * @param {string} options.name - Shown in the object list and used for exports
+     * @param {string} [options.unit='m'] - Length of one model unit (see registerModelLoader)
+     * @param {string[]} [options.resourceURLs] - Blob URLs to revoke with the object
+     */
+    createStageObject({ model, name, unit = 'm', resourceURLs = [] }) {
+        const container = new THREE.Group();
+        container.name = name;
+        container.add(model);
+
+        return {
+            id: ++this.stageObjectCount,
+            name,
+            model,
+            container,
+            unit,
+            resourceURLs,
+            originPosition: new THREE.Vector3(), // Model position before centerModel()
+            rotation: [0, 0, 0], // Rotation slider values in degrees
+            materialEntries: [], // Unique materials: { material, slots: [{ mesh, index }], original }
+            materialLookOverrides: [], // Override material per entry while a look is applied
+            animation: null, // Clip player: { mixer, action, clipIndex, playing } (see setupAnimationPlayer)
+            isolation: null // Visibility before isolating: Map<Object3D, boolean>
+        };
+    }
+
+    // The panels work on the active object
+    get currentModel() {
+        return this.activeObject ? this.activeObject.model : null;
+    }
+
+    get modelContainer() {
+        return this.activeObject ? this.activeObject.container : null;
+    }
+
+    get materialEntries() {
+        return this.activeObject ? this.activeObject.materialEntries : [];
+    }
+
+    get isolation() {
+        return this.activeObject ? this.activeObject.isolation : null;
+    }
+
+    set isolation(value) {
+        if (this.activeObject) this.activeObject.isolation = value;
+    }
+
+    /**
+     * Put a freshly loaded object on the stage: centered, auto-scaled and
+     * placed to the right of the objects already there
+     */
+    processLoadedModel(object) {
+        // Auto-center and auto-scale (before staging, so the turntable spin isn't measured)
+        this.centerModel(object);
+        this.autoScaleModel(object);
+
+        this.addStageObject(object);
+
+        // Enable shadows for realistic rendering
+        this.enableModelShadows();
+
+        // Apply environment map to all materials
+        this.applyEnvironmentToModel();
+
+        // Materials panel (and the active look, if any)
+        this.collectMaterials();
+
+        // Transform from a restored scene state replaces auto-scaling
+        const pendingTransform = this.pendingObjectTransforms.shift();
+        if (pendingTransform) {
+            this.applyTransformState(object, pendingTransform);
+        } else {
+            this.placeBesideOtherObjects(object);
+        }
+
+        this.groundNeedsUpdate = true;
+
+        // Statistics and budget checks (after the materials are known)
+        this.updateModelStats();
+
+        console.log('Model processed and centered with shadows enabled');
+    }
+
+    /**
+     * Add an object to the stage (again, after undoing its removal) and make it active
+     * @param {Object} object - From createStageObject()
+     * @param {number} [index] - Position in the object list
+     */
+    addStageObject(object, index = this.stageObjects.length) {
+        if (this.stageObjects.includes(object)) return;
+
+        this.stage.add(object.container);
+        this.stageObjects.splice(index, 0, object);
+
+        // The look may have changed while the object was off the stage
+        if (object.materialEntries.length > 0) {
+            this.disposeMaterialLookOverrides(object);
+            this.applyMaterialLookToObject(object);
+        }
+
+        // Embedded animation clips
+        this.setupAnimationPlayer(object);
+
+        this.applyModelRotation();
+        this.setActiveObject(object);
+        this.groundNeedsUpdate = true;
+        this.updateGroundVisibility();
+    }
+
+    /**
+     * Take an object off the stage; undo puts it back
+     * GPU resources are released, the geometry and textures stay in memory
+     * @param {Object} object
+     * @param {Object} [options]
+     * @param {boolean} [options.recordHistory=true] - Add an undo step for this removal
+     */
+    removeStageObject(object, { recordHistory = true } = {}) {
+        const index = this.stageObjects.indexOf(object);
+        if (index < 0) return;
+
+        const wasActive = object === this.activeObject;
+        if (wasActive) this.setActiveObject(null);
+
+        this.stageObjects.splice(index, 1);
+        this.stage.remove(object.container);
+        this.releaseStageObject(object);
+
+        if (wasActive) {
+            this.setActiveObject(this.stageObjects[Math.min(index, this.stageObjects.length - 1)] || null);
+        } else {
+            this.updateObjectOptions();
+        }
+        this.groundNeedsUpdate = true;
+        this.updateGroundVisibility();
+
+        if (recordHistory) {
+            this.pushHistory({
+                label: `Delete ${object.name}`,
+                undo: () => this.addStageObject(object, index),
+                redo: () => this.removeStageObject(object, { recordHistory: false })
+            });
+        }
+        console.log(`🗑️ Removed ${object.name}`);
+    }
+
+    /**
+     * Free an object's GPU resources (uploaded again if it returns to the stage)
+     */
+    releaseStageObject(object) {
+        this.disposeAnimationPlayer(object);
+
+        // Originals are off the meshes while a look is applied
+        object.materialEntries.forEach(entry => entry.material.dispose());
+        this.disposeMaterialLookOverrides(object);
+        this.disposeRenderModeMaterials();
+        this.disposeObject(object.container);
+
+        // Textures are decoded already, the blobs aren't needed anymore
+        object.resourceURLs.forEach(url => URL.revokeObjectURL(url));
+        object.resourceURLs = [];
+    }
+
+    /**
+     * Make an object the target of the transform sliders, scene graph,
+     * materials, statistics and animation panels
+     * @param {Object|null} object
+     */
+    setActiveObject(object) {
+        this.selectObject(null);
+        this.transformEditStart = null;
+        this.activeObject = object;
+
+        this.updateAnimationControls();
+        this.syncTransformControls();
+        this.buildSceneTree();
+        this.updateMaterialOptions();
+        this.updateModelStats();
+        this.updateObjectOptions();
+    }
+
+    /**
+     * Stage object that a node belongs to
+     * @param {THREE.Object3D} node
+     * @returns {Object|null}
+     */
+    getStageObjectOf(node) {
+        for (let current = node; current; current = current.parent) {
+            const object = this.stageObjects.find(candidate => candidate.container === current);
+            if (object) return object;
+        }
+        return null;
+    }
+
+    /**
+     * Move an object along X until it clears the other objects' bounds
+     */
+    placeBesideOtherObjects(object) {
+        const others = this.stageObjects.filter(other => other !== object);
+        if (others.length === 0) return;
+
+        this.stage.updateMatrixWorld(true);
+        const occupied = new THREE.Box3();
+        others.forEach(other => occupied.union(this.getVisibleBounds(other.container)));
+        const box = this.getVisibleBounds(object.container);
+        if (occupied.isEmpty() || box.isEmpty()) return;
+
+        object.container.position.x += occupied.max.x + this.layoutSpacing - box.min.x;
+        this.syncTransformControls();
+        this.groundNeedsUpdate = true;
+    }
+
+    /**
+     * Copy an object with its own materials (edits to the copy don't change
+     * the original); skinned meshes keep working with their own skeleton
+     */
+    duplicateStageObject(source) {
+        const model = window.SkeletonUtils.clone(source.model);
+        model.animations = source.model.animations;
+
+        // Clones have the same hierarchy, pair up the nodes
+        const nodes = new Map();
+        const pair = (original, copy) => {
+            nodes.set(original, copy);
+            original.children.forEach((child, index) => pair(child, copy.children[index]));
+        };
+        pair(source.model, model);
+
+        source.materialEntries.forEach(entry => {
+            const material = entry.material.clone();
+            entry.slots.forEach(({ mesh, index }) => {
+                const copy = nodes.get(mesh);
+                if (index === null) {
+                    copy.material = material;
+                } else {
+                    copy.material[index] = material;
+                }
+            });
+        });
+
+        const object = this.createStageObject({ model, name: `${source.name} copy`, unit: source.unit });
+        object.originPosition.copy(source.originPosition);
+        object.rotation = [...source.rotation];
+        object.container.scale.copy(source.container.scale);
+        object.container.position.copy(source.container.position);
+
+        this.addStageObject(object);
+        this.collectMaterials();
+        this.placeBesideOtherObjects(object);
+        this.updateModelStats();
+
+        this.pushHistory({
+            label: `Duplicate ${source.name}`,
+            undo: () => this.removeStageObject(object, { recordHistory: false }),
+            redo: () => this.addStageObject(object)
+        });
+        console.log(`📑 Duplicated ${source.name}`);
+    }
+
+    getObjectTransform(object) {
+        return {
+            scale: object.container.scale.x,
+            position: object.container.position.toArray(),
+            rotation: [...object.rotation]
+        };
+    }
+
+    /**
+     * @param {Object} object
+     * @param {{scale: number, position: number[], rotation: number[]}} transform - Degrees for rotation
+     */
+    setObjectTransform(object, transform) {
+        object.container.scale.setScalar(transform.scale);
+        object.container.position.fromArray(transform.position);
+        object.rotation = [...transform.rotation];
+        this.applyModelRotation();
+
+        if (object === this.activeObject) this.syncTransformControls();
+        this.groundNeedsUpdate = true;
+    }
+
+    /**
+     * Show the active object's transform on the sliders
+     */
+    syncTransformControls() {
+        const transform = this.activeObject
+            ? this.getObjectTransform(this.activeObject)
+            : { scale: 1, position: [0, 0, 0], rotation: [0, 0, 0] };
+
+        const set = (id, labelId, value, text) => {
+            document.getElementById(id).value = value;
+            document.getElementById(labelId).textContent = text;
+        };
+        set('scale-slider', 'scale-value', transform.scale, transform.scale.toFixed(2));
+        set('position-x', 'position-x-value', transform.position[0], transform.position[0].toFixed(1));
+        set('position-y', 'position-y-value', transform.position[1], transform.position[1].toFixed(1));
+        ['x', 'y', 'z'].forEach((axis, index) => {
+            set(`rotation-${axis}`, `rotation-${axis}-value`, transform.rotation[index], `${transform.rotation[index]}°`);
+        });
+    }
+
+    /**
+     * Arrange all stage objects as one undo step
+     * @param {'row'|'grid'|'stack'} layout - Side by side along X, a grid on the
+     *   ground plane, or every object dropped onto the common ground level
+     */
+    layoutStageObjects(layout) {
+        const objects = this.stageObjects;
+        if (objects.length === 0) return;
+
+        const before = objects.map(object => this.getObjectTransform(object));
+
+        // Bounds relative to each pivot (rotated or off-center models aren't symmetric)
+        this.stage.updateMatrixWorld(true);
+        const bounds = objects.map(object => {
+            const box = this.getVisibleBounds(object.container);
+            if (box.isEmpty()) box.setFromCenterAndSize(object.container.position, new THREE.Vector3());
+            return box.translate(object.container.position.clone().negate());
+        });
+        const sizes = bounds.map(box => box.getSize(new THREE.Vector3()));
+
+        if (layout === 'row') {
+            const width = sizes.reduce((sum, size) => sum + size.x, 0) + this.layoutSpacing * (objects.length - 1);
+            let x = -width / 2;
+            objects.forEach((object, index) => {
+                object.container.position.x = x - bounds[index].min.x;
+                object.container.position.z = 0;
+                x += sizes[index].x + this.layoutSpacing;
+            });
+        } else if (layout === 'grid') {
+            const columns = Math.ceil(Math.sqrt(objects.length));
+            const rows = Math.ceil(objects.length / columns);
+            const cell = Math.max(...sizes.map(size => Math.max(size.x, size.z))) + this.layoutSpacing;
+            objects.forEach((object, index) => {
+                const center = bounds[index].getCenter(new THREE.Vector3());
+                object.container.position.x = (index % columns - (columns - 1) / 2) * cell - center.x;
+                object.container.position.z = (Math.floor(index / columns) - (rows - 1) / 2) * cell - center.z;
+            });
+        } else if (layout === 'stack') {
+            const bottoms = objects.map((object, index) => object.container.position.y + bounds[index].min.y);
+            const ground = Math.min(...bottoms);
+            objects.forEach((object, index) => {
+                object.container.position.y += ground - bottoms[index];
+            });
+        }
+
+        const after = objects.map(object => this.getObjectTransform(object));
+        const apply = (transforms) => {
+            transforms.forEach((transform, index) => this.setObjectTransform(objects[index], transform));
+        };
+        apply(after);
+
+        const labels = { row: 'Row', grid: 'Grid', stack: 'Stack on ground' };
+        this.pushHistory({
+            label: `Layout: ${labels[layout]}`,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        });
+        console.log(`📐 Layout: ${labels[layout]} (${objects.length} objects)`);
+    }
+
+    updateObjectOptions() {
+        const select = document.getElementById('active-object');
+        if (!select) return;
+
+        select.innerHTML = '';
+        if (this.stageObjects.length === 0) {
+            select.appendChild(new Option('No objects', ''));
+        }
+        this.stageObjects.forEach(object => {
+            select.appendChild(new Option(object.name, object.id));
+        });
+        select.value = this.activeObject ? this.activeObject.id : '';
+        select.disabled = this.stageObjects.length === 0;
+
+        const hasActive = !!this.activeObject;
+        document.getElementById('duplicate-object').disabled = !hasActive;
+        document.getElementById('delete-object').disabled = !hasActive;
+        ['layout-row', 'layout-grid', 'layout-stack'].forEach(id => {
+            document.getElementById(id).disabled = this.stageObjects.length < 2;
+        });
+    }
+
+    setupObjectControls() {
+        const select = document.getElementById('active-object');
+        if (!select) return;
+
+        select.addEventListener('change', () => {
+            const object = this.stageObjects.find(candidate => String(candidate.id) === select.value);
+            if (object) this.setActiveObject(object);
+        });
+
+        document.getElementById('duplicate-object').addEventListener('click', () => {
+            if (this.activeObject) this.duplicateStageObject(this.activeObject);
+        });
+        document.getElementById('delete-object').addEventListener('click', () => {
+            if (this.activeObject) this.removeStageObject(this.activeObject);
+        });
+        document.getElementById('layout-row').addEventListener('click', () => this.layoutStageObjects('row'));
+        document.getElementById('layout-grid').addEventListener('click', () => this.layoutStageObjects('grid'));
+        document.getElementById('layout-stack').addEventListener('click', () => this.layoutStageObjects('stack'));
+
+        this.updateObjectOptions();
+    }
+
+    /**
+     * Transform slider drags become one undo step for the object they moved
+     * (the sliders show whichever object is active, so they aren't in historyControls)
+     */
+    setupTransformHistory() {
+        ['scale-slider', 'position-x', 'position-y', 'rotation-x', 'rotation-y', 'rotation-z'].forEach(id => {
+            const element = document.getElementById(id);
+
+            // Registered before the slider handlers, so this sees the value before the drag
+            element.addEventListener('input', () => {
+                if (!this.transformEditStart && this.activeObject) {
+                    this.transformEditStart = { object: this.activeObject, transform: this.getObjectTransform(this.activeObject) };
+                }
+            });
+            element.addEventListener('change', () => this.commitObjectTransform());
+        });
+    }
+
+    commitObjectTransform() {
+        const start = this.transformEditStart;
+        this.transformEditStart = null;
+        if (!start) return;
+
+        const { object, transform: before } = start;
+        const after = this.getObjectTransform(object);
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        this.pushHistory({
+            label: `Transform ${object.name}`,
+            undo: () => this.setObjectTransform(object, before),
+            redo: () => this.setObjectTransform(object, after)
+        });
+    }
+
+    /**
+     * Create an AnimationMixer for an object's embedded clips and start the first one
+     * Every stage object keeps playing its own clip; the controls show the active object's
+     */
+    setupAnimationPlayer(object) {
+        const clips = object.model.animations || [];
+        if (clips.length === 0 || object.animation) return;
+
+        const animation = {
+            mixer: new THREE.AnimationMixer(object.model),
+            action: null,
+            clipIndex: 0,
+            playing: false
+        };
+        animation.mixer.timeScale = this.animationSpeed;
+        animation.mixer.addEventListener('finished', () => {
+            // LoopOnce reached its end
+            animation.playing = false;
+            if (object === this.activeObject) this.updateAnimationUI();
+        });
+        object.animation = animation;
+
+        // Animated skinned meshes can move outside their static bounds
+        object.model.traverse((child) => {
+            if (child.isSkinnedMesh) child.frustumCulled = false;
+        });
+
+        this.playAnimationClip(0, object);
+        console.log(`  ✓ ${clips.length} animation clip(s) found`);
+    }
+
+    // The animation controls work on the active object's player
+    get animationClips() {
+        return this.currentModel ? this.currentModel.animations || [] : [];
+    }
+
+    get mixer() {
+        return this.activeObject?.animation?.mixer ?? null;
+    }
+
+    get currentAction() {
+        return this.activeObject?.animation?.action ?? null;
+    }
+
+    get animationPlaying() {
+        return this.activeObject?.animation?.playing ?? false;
+    }
+
+    set animationPlaying(value) {
+        if (this.activeObject?.animation) this.activeObject.animation.playing = value;
+    }
+
+    /**
+     * Fill the clip selector for the active object (hidden without clips)
+     */
+    updateAnimationControls() {
+        const controls = document.getElementById('animation-clip-controls');
+        const clipSelect = document.getElementById('anim-clip');
+        const animation = this.activeObject ? this.activeObject.animation : null;
+
+        if (!animation) {
+            if (controls) controls.style.display = 'none';
+            return;
+        }
+
+        if (clipSelect) {
+            clipSelect.innerHTML = '';
+            this.animationClips.forEach((clip, index) => {
+                clipSelect.appendChild(new Option(clip.name || `Clip ${index + 1}`, index));
+            });
+            clipSelect.value = animation.clipIndex;
+        }
+        if (controls) controls.style.display = 'block';
+
+        this.updateAnimationUI();
+    }
+
+    playAnimationClip(index, object = this.activeObject) {
+        const animation = object ? object.animation : null;
+        const clip = animation ? object.model.animations[index] : null;
+        if (!clip) return;
+
+        animation.mixer.stopAllAction();
+        animation.action = animation.mixer.clipAction(clip);
+        animation.clipIndex = index;
+        this.applyAnimationLoopMode(animation.action);
+        animation.action.reset().play();
+        animation.playing = true;
+
+        if (object === this.activeObject) this.updateAnimationUI();
+        console.log(`🎬 Playing clip: ${clip.name || index} (${clip.duration.toFixed(2)}s)`);
+    }
+
+    applyAnimationLoopMode(action) {
+        if (!action) return;
+
+        const loopModes = {
+            repeat: THREE.LoopRepeat,
+            once: THREE.LoopOnce,
+            pingpong: THREE.LoopPingPong
+        };
+        action.setLoop(loopModes[this.animationLoopMode], Infinity);
+        action.clampWhenFinished = this.animationLoopMode === 'once';
+    }
+
+    toggleAnimationPlayback() {
+        if (!this.currentAction) return;
+
+        // Restart a finished one-shot clip
+        if (!this.animationPlaying && this.animationLoopMode === 'once' &&
+            this.currentAction.time >= this.currentAction.getClip().duration) {
+            this.currentAction.reset().play();
+        }
+
+        this.animationPlaying = !this.animationPlaying;
+        this.currentAction.paused = !this.animationPlaying;
+        this.updateAnimationUI();
+    }
+
+    /**
+     * Jump to a time in an object's current clip (used by the timeline and exports)
+     * @param {number} seconds
+     * @param {Object} [object] - Stage object, the active one by default
+     */
+    setAnimationTime(seconds, object = this.activeObject) {
+        const animation = object ? object.animation : null;
+        if (!animation || !animation.action) return;
+
+        const duration = animation.action.getClip().duration;
+        animation.action.enabled = true;
+        animation.action.time = THREE.MathUtils.clamp(seconds, 0, duration);
+        animation.mixer.update(0); // Apply pose without advancing time
+        if (object === this.activeObject) this.updateAnimationUI();
+    }
+
+    updateAnimationUI() {
+        if (!this.currentAction) return;
+
+        const duration = this.currentAction.getClip().duration;
+        const time = this.currentAction.time;
+
+        const timeline = document.getElementById('anim-timeline');
+        if (timeline && document.activeElement !== timeline) {
+            timeline.value = duration > 0 ? time / duration : 0;
+        }
+
+        const timeValue = document.getElementById('anim-time-value');
+        if (timeValue) timeValue.textContent = `${time.toFixed(2)}s / ${duration.toFixed(2)}s`;
+
+        const playButton = document.getElementById('anim-play');
+        if (playButton) playButton.textContent = this.animationPlaying ? 'Pause' : 'Play';
+    }
+
+    disposeAnimationPlayer(object) {
+        if (!object.animation) return;
+
+        const { mixer } = object.animation;
+        mixer.stopAllAction();
+        mixer.uncacheRoot(mixer.getRoot());
+        object.animation = null;
+
+        if (object === this.activeObject) this.updateAnimationControls();
+    }
+
+    setupAnimationControls() {
+        const clipSelect = document.getElementById('anim-clip');
+        const playButton = document.getElementById('anim-play');
+        const timeline = document.getElementById('anim-timeline');
+        const loopSelect = document.getElementById('anim-loop');
+        const speedSlider = document.getElementById('anim-speed');
+
+        if (clipSelect) {
+            clipSelect.addEventListener('change', (e) => {
+                this.playAnimationClip(parseInt(e.target.value));
+            });
+        }
+
+        if (playButton) {
+            playButton.addEventListener('click', () => this.toggleAnimationPlayback());
+        }
+
+        if (timeline) {
+            timeline.addEventListener('input', (e) => {
+                if (!this.currentAction) return;
+                const duration = this.currentAction.getClip().duration;
+                this.setAnimationTime(parseFloat(e.target.value) * duration);
+            });
+        }
+
+        if (loopSelect) {
+            loopSelect.addEventListener('change', (e) => {
+                this.animationLoopMode = e.target.value;
+                this.stageObjects.forEach(object => {
+                    if (object.animation) this.applyAnimationLoopMode(object.animation.action);
+                });
+                console.log(`🎬 Loop mode: ${this.animationLoopMode}`);
+            });
+        }
+
+        if (speedSlider) {
+            speedSlider.addEventListener('input', (e) => {
+                this.animationSpeed = parseFloat(e.target.value);
+                this.stageObjects.forEach(object => {
+                    if (object.animation) object.animation.mixer.timeScale = this.animationSpeed;
+                });
+                document.getElementById('anim-speed-value').textContent = this.animationSpeed.toFixed(1) + 'x';
+            });
+        }
+    }
+
+    getLoopExportSettings() {
+        const fps = parseInt(document.getElementById('loop-fps').value);
+        const duration = parseFloat(document.getElementById('loop-duration').value);
+
+        return {
+            fps,
+            duration,
+            frames: Math.max(2, Math.round(fps * duration)),
+            scale: parseFloat(document.getElementById('loop-scale').value),
+            format: document.getElementById('loop-format').value
+        };
+    }
+
+    updateLoopExportInfo() {
+        const { frames } = this.getLoopExportSettings();
+        document.getElementById('loop-export-info').textContent = this.turntableMode === 'pingpong'
+            ? `${frames} frames, one ${this.turntableArc}° swing there and back`
+            : `${frames} frames, ${(360 / frames).toFixed(2)}° per frame`;
+    }
+
+    /**
+     * Pose the scene for one loop frame: one exact turntable cycle (full turn or
+     * ping-pong swing) over the loop, and a whole number of clip cycles, so frame N
+     * would equal frame 0
+     */
+    poseLoopFrame(index, settings, start) {
+        const startProgress = this.getTurntableStartProgress();
+        const angle = this.getTurntableCycleAngle(startProgress + index / settings.frames)
+            - this.getTurntableCycleAngle(startProgress);
+
+        if (this.turntableTarget === 'camera') {
+            const offset = start.cameraPosition.clone().sub(this.controls.target);
+            offset.applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+            this.camera.position.copy(this.controls.target).add(offset);
+            this.camera.lookAt(this.controls.target);
+        } else {
+            const turn = new THREE.Quaternion().setFromAxisAngle(this.getTurntableAxis(), angle);
+            this.turntableQuaternion.copy(turn.multiply(start.turntableQuaternion));
+            this.applyModelRotation();
+        }
+
+        // Every object's clip loops seamlessly over the export
+        this.stageObjects.forEach(object => {
+            const action = object.animation && object.animation.action;
+            if (!action) return;
+
+            const clipDuration = action.getClip().duration;
+            const cycles = Math.max(1, Math.round(settings.duration * this.animationSpeed / clipDuration));
+            const time = (index / settings.frames) * cycles * clipDuration;
+            this.setAnimationTime(time % clipDuration, object);
+        });
+
+        this.updateGroundPlacement();
+    }
+
+    /**
+     * Render a 360° turntable loop frame by frame (independent of display refresh rate)
+     * and download it as a zipped PNG sequence or a WebM video
+     */
+    async exportTurntableLoop() {
+        if (this.stageObjects.length === 0 || this.loopExport) return;
+
+        const settings = this.getLoopExportSettings();
+        const start = {
+            turntableQuaternion: this.turntableQuaternion.clone(),
+            cameraPosition: this.camera.position.clone(),
+            animationTimes: new Map(this.stageObjects
+                .filter(object => object.animation && object.animation.action)
+                .map(object => [object, object.animation.action.time]))
+        };
+
+        this.loopExport = { cancelled: false };
+        const restoreShadowMap = this.scaleShadowMapForExport(settings.scale);
+        const button = document.getElementById('export-loop');
+        button.textContent = 'Cancel Export';
+        this.startLoadingTask('loop-export', `Exporting ${settings.frames}-frame loop`);
+        console.log(`🎥 Exporting turntable loop: ${settings.frames} frames at ${settings.fps} fps (${settings.format})`);
+
+        try {
+            const blob = settings.format === 'webm'
+                ? await this.recordLoopWebM(settings, start)
+                : await this.recordLoopPNGSequence(settings, start);
+
+            if (blob) {
+                this.downloadBlob(blob, `turntable-${settings.fps}fps-${settings.frames}f.${settings.format === 'webm' ? 'webm' : 'zip'}`);
+                console.log('✅ Turntable loop exported');
+            } else {
+                console.log('⏹️ Turntable loop export cancelled');
+            }
+        } catch (error) {
+            console.error('❌ Turntable loop export failed:', error);
+            this.showError({
+                title: "Couldn't export turntable loop",
+                reason: settings.format === 'webm' ? 'Video encoding failed' : 'Frame encoding failed',
+                details: this.getErrorMessage(error),
+                retry: () => this.exportTurntableLoop()
+            });
+        } finally {
+            // Back to where the live view was
+            this.turntableQuaternion.copy(start.turntableQuaternion);
+            this.applyModelRotation();
+            this.camera.position.copy(start.cameraPosition);
+            this.camera.lookAt(this.controls.target);
+            start.animationTimes.forEach((time, object) => this.setAnimationTime(time, object));
+            this.groundNeedsUpdate = true;
+            restoreShadowMap();
+            this.loopExport = null;
+            button.textContent = 'Export Turntable Loop';
+            this.finishLoadingTask('loop-export');
+        }
+    }
+
+    /**
+     * Render one loop frame through window.renderHighResolution
+     * @returns {HTMLCanvasElement}
+     */
+    renderLoopFrame(index, settings, start) {
+        this.poseLoopFrame(index, settings, start);
+        const frameCanvas = document.createElement('canvas');
+        window.renderHighResolution(frameCanvas, settings.scale);
+        this.updateLoadingTask('loop-export', (index + 1) / settings.frames);
+        return frameCanvas;
+    }
+
+    async recordLoopPNGSequence(settings, start) {
+        const files = {};
+        const digits = Math.max(4, String(settings.frames).length);
+
+        for (let i = 0; i < settings.frames; i++) {
+            if (this.loopExport.cancelled) return null;
+
+            const frameCanvas = this.renderLoopFrame(i, settings, start);
+            const png = await new Promise(resolve => frameCanvas.toBlob(resolve, 'image/png'));
+            files[`frame_${String(i).padStart(digits, '0')}.png`] = new Uint8Array(await png.arrayBuffer());
+        }
+
+        // PNGs are already compressed; store them as-is
+        const zip = window.fflate.zipSync(files, { level: 0 });
+        return new Blob([zip], { type: 'application/zip' });
+    }
+
+    /**
+     * Encode the loop with WebCodecs and mux it to WebM; every frame is stamped
+     * index / fps, so playback speed doesn't depend on how long frames take to render
+     */
+    async recordLoopWebM(settings, start) {
+        if (typeof VideoEncoder === 'undefined') {
+            throw new Error('This browser does not support WebCodecs video encoding, export a PNG sequence instead');
+        }
+
+        // Even dimensions keep every encoder happy with 4:2:0 chroma
+        const width = Math.round(this.outputWidth * settings.scale / 2) * 2;
+        const height = Math.round(this.outputHeight * settings.scale / 2) * 2;
+        const videoCanvas = document.createElement('canvas');
+        videoCanvas.width = width;
+        videoCanvas.height = height;
+        const videoCtx = videoCanvas.getContext('2d');
+
+        // First codec the browser can encode at this size
+        const codecs = [
+            { codec: 'vp09.00.10.08', muxerCodec: 'V_VP9' },
+            { codec: 'vp8', muxerCodec: 'V_VP8' }
+        ];
+        let config = null;
+        let muxerCodec = null;
+        for (const candidate of codecs) {
+            const candidateConfig = { codec: candidate.codec, width, height, bitrate: 40000000, framerate: settings.fps };
+            if ((await VideoEncoder.isConfigSupported(candidateConfig)).supported) {
+                config = candidateConfig;
+                muxerCodec = candidate.muxerCodec;
+                break;
+            }
+        }
+        if (!config) {
+            throw new Error(`This browser can't encode ${width}×${height} WebM video`);
+        }
+
+        const target = new window.WebMMuxer.ArrayBufferTarget();
+        const muxer = new window.WebMMuxer.Muxer({
+            target,
+            video: { codec: muxerCodec, width, height, frameRate: settings.fps }
+        });
+        const encoder = new VideoEncoder({
+            output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+            error: (error) => console.error('❌ Video encoder error:', error)
+        });
+        encoder.configure(config);
+
+        const frameDuration = 1000000 / settings.fps; // Microseconds
+        const keyFrameInterval = Math.max(1, Math.round(settings.fps)); // One per second for seeking
+
+        try {
+            for (let i = 0; i < settings.frames; i++) {
+                if (this.loopExport.cancelled) return null;
+
+                const frameCanvas = this.renderLoopFrame(i, settings, start);
+                videoCtx.clearRect(0, 0, width, height);
+                videoCtx.drawImage(frameCanvas, 0, 0, width, height);
+
+                const frame = new VideoFrame(videoCanvas, {
+                    timestamp: Math.round(i * frameDuration),
+                    duration: Math.round(frameDuration)
+                });
+                encoder.encode(frame, { keyFrame: i % keyFrameInterval === 0 });
+                frame.close();
+
+                // Don't queue up more rendered frames than the encoder keeps up with
+                while (encoder.encodeQueueSize > 2) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+
+            await encoder.flush();
+        } finally {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+
+        muxer.finalize();
+        return new Blob([target.buffer], { type: 'video/webm' });
+    }
+
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+
+        // Revoking right away can cancel the download before the browser starts it
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    setupLoopExportControls() {
+        const button = document.getElementById('export-loop');
+        if (!button) return;
+
+        button.addEventListener('click', () => {
+            if (this.loopExport) {
+                this.loopExport.cancelled = true;
+            } else {
+                this.exportTurntableLoop();
+            }
+        });
+
+        document.getElementById('loop-duration').addEventListener('input', (e) => {
+            document.getElementById('loop-duration-value').textContent = `${e.target.value}s`;
+            this.updateLoopExportInfo();
+        });
+        document.getElementById('loop-fps').addEventListener('change', () => this.updateLoopExportInfo());
+        this.updateLoopExportInfo();
+    }
+
+    /**
+     * Enable shadow casting and receiving for all meshes in the model
+     * This is essential for realistic self-shadowing with the sun light
+     */
+    enableModelShadows() {
+        if (!this.currentModel) return;
+
+        let meshCount = 0;
+        this.currentModel.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;    // Model casts shadows
+                child.receiveShadow = true; // Model receives shadows (self-shadowing)
+                meshCount++;
+            }
+        });
+
+        console.log(`  ✓ Enabled shadows for ${meshCount} meshes (cast + receive for self-shadowing)`);
+    }
+    
+    centerModel(object) {
+        const model = object.model;
+
+        // Calculate bounding box
+        const box = new THREE.Box3().setFromObject(model);
+        const center = box.getCenter(new THREE.Vector3());
+
+        // Kept for exports without the staging transform
+        object.originPosition.copy(model.position);
+        
+        // Center the model
+        model.position.x = -center.x;
+        model.position.y = -center.y;
+        model.position.z = -center.z;
+    }
+    
+    autoScaleModel(object) {
+        // Calculate bounding box
+        const box = new THREE.Box3().setFromObject(object.model);
+        const size = box.getSize(new THREE.Vector3());
+        
+        // Find max dimension
+        const maxDim = Math.max(size.x, size.y, size.z);
+        
+        // Scale to fit in view (target size ~2 units)
+        const targetSize = 2;
+        const scale = targetSize / maxDim;
+        
+        object.container.scale.setScalar(scale);
+    }
+    
+    applyEnvironmentToModel() {
+        this.stage.traverse((child) => {
+            if (child.isMesh) {
+                if (child.material) {
+                    const materials = Array.isArray(child.material) ? child.material : [child.material];
+                    
+                    materials.forEach(mat => {
+                        // IMPORTANT: Do NOT assign envMap directly.
+                        // Let Three.js use scene.environment so environmentRotation is respected.
+                        mat.envMapIntensity = this.hdriIntensity;
+                        
+                        // Enable better PBR rendering
+                        if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
+                            // These materials already support PBR correctly
+                            mat.needsUpdate = true;
+                        } else if (mat.isMeshBasicMaterial || mat.isMeshLambertMaterial) {
+                            // Basic materials don't support PBR, but we can still apply envMap
+                            mat.needsUpdate = true;
+                        }
+                        
+                        // Ensure proper rendering with IBL
+                        mat.needsUpdate = true;
+                    });
+                }
+            }
+        });
+        
+        console.log('Environment map applied to model materials');
+    }
+
+    /**
+     * List the unique materials of the active object with the mesh slots using them
+     */
+    collectMaterials() {
+        const object = this.activeObject;
+        const entries = new Map();
+
+        object.model.traverse(child => {
+            if (!child.isMesh || !child.material) return;
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach((material, index) => {
+                if (!entries.has(material)) {
+                    entries.set(material, {
+                        material,
+                        slots: [],
+                        original: this.getMaterialValues(material)
+                    });
+                }
+                entries.get(material).slots.push({ mesh: child, index: Array.isArray(child.material) ? index : null });
+            });
+        });
+
+        object.materialEntries = Array.from(entries.values());
+        object.materialLookOverrides = [];
+
+        if (this.materialLook !== 'original') {
+            this.applyMaterialLookToObject(object);
+        }
+
+        this.updateMaterialOptions();
+        console.log(`  ✓ ${object.materialEntries.length} unique material(s)`);
+    }
+
+    getMaterialLabel(entry, index) {
+        return entry.material.name || `Material ${index + 1}`;
+    }
+
+    /**
+     * Editable values of a material (undefined where the material type lacks them)
+     */
+    getMaterialValues(material) {
+        const values = {};
+        Object.values(this.materialControls).forEach(({ property }) => {
+            values[property] = this.getMaterialValue(material, property);
+        });
+        // Lets a reset undo transmission added through the physical upgrade
+        if (values.transmission === undefined && material.isMeshStandardMaterial) {
+            values.transmission = 0;
+        }
+        values.transparent = material.transparent;
+        return values;
+    }
+
+    getMaterialValue(material, property) {
+        const value = material[property];
+        if (value && value.isColor) return `#${value.getHexString()}`;
+        return value;
+    }
+
+    /**
+     * Set one property on a material entry; transmission upgrades standard materials to physical
+     */
+    setMaterialValue(entry, property, value) {
+        if (property === 'transmission' && !entry.material.isMeshPhysicalMaterial) {
+            if (!value || !entry.material.isMeshStandardMaterial) return;
+            this.upgradeToPhysicalMaterial(entry);
+        }
+
+        const material = entry.material;
+        if (material[property] === undefined) return;
+
+        if (material[property].isColor) {
+            material[property].set(value);
+        } else {
+            material[property] = value;
+        }
+
+        if (property === 'opacity') {
+            const transparent = value < 1 || entry.original.transparent;
+            if (material.transparent !== transparent) {
+                material.transparent = transparent;
+                material.needsUpdate = true;
+            }
+        }
+    }
 
-        console.log(`  ✓ Sun light updated: position(${this.sunLight.position.x.toFixed(2)}, ${this.sunLight.position.y.toFixed(2)}, ${this.sunLight.position.z.toFixed(2)})`);
+    /**
+     * Replace a MeshStandardMaterial by an equivalent MeshPhysicalMaterial in every slot
+     */
+    upgradeToPhysicalMaterial(entry) {
+        const source = entry.material;
+        const material = new THREE.MeshPhysicalMaterial();
+        THREE.MeshStandardMaterial.prototype.copy.call(material, source);
+        material.defines = { STANDARD: '', PHYSICAL: '' };
+
+        this.assignEntryMaterial(entry, material);
+        entry.material = material;
+        source.dispose();
+
+        console.log(`  ✓ ${material.name || 'Material'} upgraded to MeshPhysicalMaterial for transmission`);
+    }
+
+    /**
+     * Put a material into every mesh slot of an entry
+     */
+    assignEntryMaterial(entry, material) {
+        entry.slots.forEach(({ mesh, index }) => {
+            if (index === null) {
+                mesh.material = material;
+            } else {
+                mesh.material[index] = material;
+            }
+        });
+    }
+
+    applyMaterialValues(entry, values) {
+        Object.values(this.materialControls).forEach(({ property }) => {
+            if (values[property] !== undefined) {
+                this.setMaterialValue(entry, property, values[property]);
+            }
+        });
+    }
+
+    /**
+     * Swap every material on the stage for a preset look (or back to the originals)
+     * @param {string} look - 'original' or a key of this.materialLooks
+     */
+    applyMaterialLook(look) {
+        this.materialLook = look;
+        this.stageObjects.forEach(object => {
+            this.disposeMaterialLookOverrides(object);
+            this.applyMaterialLookToObject(object);
+        });
+        this.updateMaterialControls();
+
+        if (this.stageObjects.length > 0) {
+            const definition = this.materialLooks[look];
+            console.log(`🎨 Material look: ${definition ? definition.label : 'original materials'}`);
+        }
+    }
+
+    /**
+     * Assign the current look's materials (or the originals) to one object
+     */
+    applyMaterialLookToObject(object) {
+        const definition = this.materialLooks[this.materialLook];
+        object.materialEntries.forEach(entry => {
+            if (!definition) {
+                // The HDRI intensity may have changed while the originals were off the meshes
+                entry.material.envMapIntensity = this.hdriIntensity;
+                this.assignEntryMaterial(entry, entry.material);
+                return;
+            }
+
+            const MaterialClass = definition.physical ? THREE.MeshPhysicalMaterial : THREE.MeshStandardMaterial;
+            const material = new MaterialClass(definition.params);
+            const source = entry.material;
+            material.name = `${definition.label} (${source.name || 'material'})`;
+
+            // Keep surface detail, cutouts and sidedness of the original
+            material.normalMap = source.normalMap || null;
+            if (source.normalScale) material.normalScale.copy(source.normalScale);
+            material.alphaMap = source.alphaMap || null;
+            material.alphaTest = source.alphaTest;
+            material.side = source.side;
+            material.envMapIntensity = this.hdriIntensity;
+
+            object.materialLookOverrides.push(material);
+            this.assignEntryMaterial(entry, material);
+        });
+    }
+
+    disposeMaterialLookOverrides(object) {
+        object.materialLookOverrides.forEach(material => material.dispose());
+        object.materialLookOverrides = [];
+    }
+
+    getSelectedMaterialEntry() {
+        const select = document.getElementById('material-select');
+        return select ? this.materialEntries[parseInt(select.value)] || null : null;
+    }
+
+    updateMaterialOptions() {
+        const select = document.getElementById('material-select');
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.materialEntries.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${this.getMaterialLabel(entry, index)} (${entry.slots.length} mesh${entry.slots.length === 1 ? '' : 'es'})`;
+            select.appendChild(option);
+        });
+
+        this.updateMaterialControls();
+    }
+
+    /**
+     * Show the selected material's values; the editor is off while a look overrides the originals
+     */
+    updateMaterialControls() {
+        const entry = this.materialLook === 'original' ? this.getSelectedMaterialEntry() : null;
+
+        Object.entries(this.materialControls).forEach(([id, { property, decimals }]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+
+            let value = entry ? this.getMaterialValue(entry.material, property) : undefined;
+            // Standard materials can still take transmission (upgraded on edit)
+            if (value === undefined && property === 'transmission' && entry?.material.isMeshStandardMaterial) {
+                value = 0;
+            }
+
+            element.disabled = value === undefined;
+            if (value !== undefined) {
+                element.value = value;
+            }
+
+            const valueLabel = document.getElementById(`${id}-value`);
+            if (valueLabel) {
+                valueLabel.textContent = value === undefined ? '–' : value.toFixed(decimals);
+            }
+        });
+
+        const resetButton = document.getElementById('material-reset');
+        if (resetButton) resetButton.disabled = !entry;
+
+        const hint = document.getElementById('material-editor-hint');
+        if (hint) {
+            if (this.materialEntries.length === 0) {
+                hint.textContent = 'No model loaded';
+            } else if (this.materialLook !== 'original') {
+                hint.textContent = 'Set the look back to Original to edit materials';
+            } else {
+                hint.textContent = 'Edits apply to every mesh using this material';
+            }
+        }
+    }
+
+    setupMaterialControls() {
+        const select = document.getElementById('material-select');
+        const lookSelect = document.getElementById('material-look');
+        const resetButton = document.getElementById('material-reset');
+
+        if (select) {
+            select.addEventListener('change', () => this.updateMaterialControls());
+        }
+
+        if (lookSelect) {
+            lookSelect.addEventListener('change', (e) => this.applyMaterialLook(e.target.value));
+        }
+
+        Object.entries(this.materialControls).forEach(([id, { property, label, decimals }]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+
+            const parse = (value) => element.type === 'range' ? parseFloat(value) : value;
+
+            element.addEventListener('input', (e) => {
+                const entry = this.getSelectedMaterialEntry();
+                if (!entry) return;
+
+                if (!this.materialEditStart) {
+                    this.materialEditStart = { entry, value: this.getMaterialValue(entry.material, property) ?? 0 };
+                }
+                this.setMaterialValue(entry, property, parse(e.target.value));
+
+                const valueLabel = document.getElementById(`${id}-value`);
+                if (valueLabel && decimals !== undefined) {
+                    valueLabel.textContent = parse(e.target.value).toFixed(decimals);
+                }
+            });
+
+            // One undo step per drag / color pick
+            element.addEventListener('change', (e) => {
+                const start = this.materialEditStart;
+                this.materialEditStart = null;
+                if (!start) return;
+
+                const { entry, value: before } = start;
+                const after = parse(e.target.value);
+                if (before === after) return;
+
+                const apply = (value) => {
+                    this.setMaterialValue(entry, property, value);
+                    if (this.getSelectedMaterialEntry() === entry) this.updateMaterialControls();
+                };
+
+                this.pushHistory({
+                    label: `${label} of ${entry.material.name || 'material'}`,
+                    undo: () => apply(before),
+                    redo: () => apply(after)
+                });
+            });
+        });
+
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                const entry = this.getSelectedMaterialEntry();
+                if (!entry) return;
+
+                const before = this.getMaterialValues(entry.material);
+                const apply = (values) => {
+                    this.applyMaterialValues(entry, values);
+                    if (this.getSelectedMaterialEntry() === entry) this.updateMaterialControls();
+                };
+
+                apply(entry.original);
+                this.pushHistory({
+                    label: `Reset ${entry.material.name || 'material'}`,
+                    undo: () => apply(before),
+                    redo: () => apply(entry.original)
+                });
+            });
+        }
+
+        this.updateMaterialOptions();
     }
     
-    loadHDRI(presetName) {
-        const hdriUrl = this.hdriPresets[presetName];
-        
-        console.log(`🔄 Loading HDRI: ${presetName}...`);
-        console.log(`URL: ${hdriUrl}`);
-        
-        this.rgbeLoader.load(
-            hdriUrl,
-            (texture) => {
-                console.log(`✓ HDRI texture loaded, generating environment map...`);
-                
-                // Set texture mapping for environment
-                texture.mapping = THREE.EquirectangularReflectionMapping;
-                
-                // CRITICAL: Store original texture for rotation
-                // We clone it so we can regenerate with different rotations
-                if (this.originalHDRITexture) {
-                    this.originalHDRITexture.dispose();
+    /**
+     * Remove every object from the stage (not undoable)
+     */
+    clearModel() {
+        this.setActiveObject(null);
+        this.stageObjects.forEach(object => {
+            this.stage.remove(object.container);
+            this.releaseStageObject(object);
+        });
+        this.stageObjects = [];
+        this.groundNeedsUpdate = true;
+        this.updateObjectOptions();
+    }
+    
+    /**
+     * Dispose of all geometries and materials under an object
+     */
+    disposeObject(object) {
+        object.traverse((child) => {
+            if (child.isMesh || child.isPoints) {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    if (Array.isArray(child.material)) {
+                        child.material.forEach(mat => mat.dispose());
+                    } else {
+                        child.material.dispose();
+                    }
                 }
-                this.originalHDRITexture = texture.clone();
-                this.originalHDRITexture.mapping = THREE.EquirectangularReflectionMapping;
-                
-                console.log(`✓ Original HDRI texture stored for rotation`);
-                
-                // Use calibrated sun position if available, otherwise analyze automatically
-                if (this.hdriSunPositions[presetName]) {
-                    // Use manually calibrated position (more accurate)
-                    const calibratedData = this.hdriSunPositions[presetName];
-                    this.sunDirection = new THREE.Vector3(
-                        calibratedData.direction[0],
-                        calibratedData.direction[1],
-                        calibratedData.direction[2]
-                    ).normalize();
-                    console.log(`✓ Using calibrated sun position for ${presetName}`);
-                    console.log(`  UV: (${calibratedData.uv[0].toFixed(4)}, ${calibratedData.uv[1].toFixed(4)})`);
-                    console.log(`  Direction: (${this.sunDirection.x.toFixed(4)}, ${this.sunDirection.y.toFixed(4)}, ${this.sunDirection.z.toFixed(4)})`);
+            }
+        });
+    }
+    
+    /**
+     * Whether a node should be listed: it has to lead to something drawable
+     * (skips bones, lights, cameras and empty helpers)
+     */
+    isSceneTreeNode(object) {
+        let drawable = false;
+        object.traverse(child => {
+            if (child.isMesh || child.isPoints || child.isLine) drawable = true;
+        });
+        return drawable;
+    }
+
+    getSceneNodeLabel(object) {
+        if (object.name) return object.name;
+        if (object.isMesh) return 'Mesh';
+        if (object.isPoints) return 'Points';
+        if (object.isLine) return 'Line';
+        return object.children.length > 0 ? 'Group' : 'Node';
+    }
+
+    /**
+     * Rebuild the scene graph panel from the active object's model
+     */
+    buildSceneTree() {
+        const container = document.getElementById('scene-tree');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.sceneTreeRows.clear();
+
+        if (!this.currentModel) {
+            const empty = document.createElement('p');
+            empty.className = 'chatooly-text-small chatooly-text-muted';
+            empty.textContent = 'No model loaded';
+            container.appendChild(empty);
+            this.updateSceneGraphButtons();
+            return;
+        }
+
+        this.sceneTreeExpanded.add(this.currentModel.uuid);
+        this.appendSceneTreeNode(container, this.currentModel, 0);
+        this.updateSceneTreeRows();
+        this.updateSceneGraphButtons();
+    }
+
+    appendSceneTreeNode(container, object, depth) {
+        const children = object.children.filter(child => this.isSceneTreeNode(child));
+        const expanded = this.sceneTreeExpanded.has(object.uuid);
+
+        const row = document.createElement('div');
+        Object.assign(row.style, {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '4px',
+            paddingLeft: `${depth * 12}px`,
+            borderRadius: '3px',
+            fontSize: '12px',
+            whiteSpace: 'nowrap'
+        });
+
+        const toggle = document.createElement('span');
+        toggle.textContent = children.length > 0 ? (expanded ? '▼' : '▶') : '';
+        toggle.style.width = '12px';
+        toggle.style.flexShrink = '0';
+        if (children.length > 0) {
+            toggle.style.cursor = 'pointer';
+            toggle.addEventListener('click', () => {
+                if (expanded) {
+                    this.sceneTreeExpanded.delete(object.uuid);
                 } else {
-                    // Fallback to automatic detection for custom HDRIs
-                    console.log(`⚠️ No calibration data for ${presetName}, using automatic detection`);
-                    this.sunDirection = this.analyzeHDRIBrightestPoint(texture);
+                    this.sceneTreeExpanded.add(object.uuid);
                 }
+                this.buildSceneTree();
+            });
+        }
 
-                // Generate environment with current rotation
-                this.generateRotatedEnvironment(texture, this.hdriRotation * Math.PI / 180);
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = object.visible;
+        checkbox.title = 'Visible';
+        checkbox.addEventListener('change', () => {
+            this.setNodeVisibility(new Map([[object, checkbox.checked]]), `${checkbox.checked ? 'Show' : 'Hide'} ${this.getSceneNodeLabel(object)}`);
+        });
 
-                // Update sun light position based on detected/calibrated direction
-                this.updateSunLightPosition();
+        const label = document.createElement('span');
+        label.textContent = this.getSceneNodeLabel(object);
+        label.title = label.textContent;
+        Object.assign(label.style, {
+            cursor: 'pointer',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis'
+        });
+        label.addEventListener('click', () => {
+            this.selectObject(this.selectedObject === object ? null : object);
+        });
 
-                // If model exists, reapply environment to materials
-                if (this.currentModel) {
-                    this.applyEnvironmentToModel();
-                }
+        row.appendChild(toggle);
+        row.appendChild(checkbox);
+        row.appendChild(label);
+        container.appendChild(row);
+        this.sceneTreeRows.set(object, { row, checkbox, label });
 
-                console.log(`✅ HDRI fully loaded: ${presetName} (2K quality) with sun extraction`);
-            },
-            (progress) => {
-                if (progress.total > 0) {
-                    const percent = (progress.loaded / progress.total * 100).toFixed(0);
-                    console.log(`Loading HDRI: ${percent}%`);
+        if (expanded) {
+            children.forEach(child => this.appendSceneTreeNode(container, child, depth + 1));
+        }
+    }
+
+    /**
+     * Sync checkboxes, dimmed (effectively hidden) rows and the selection highlight
+     */
+    updateSceneTreeRows() {
+        this.sceneTreeRows.forEach(({ row, checkbox, label }, object) => {
+            let shown = true;
+            object.traverseAncestors(ancestor => {
+                if (!ancestor.visible) shown = false;
+            });
+
+            checkbox.checked = object.visible;
+            label.style.opacity = object.visible && shown ? '1' : '0.45';
+            row.style.background = object === this.selectedObject
+                ? 'rgba(204, 253, 80, 0.2)'
+                : 'transparent';
+        });
+    }
+
+    updateSceneGraphButtons() {
+        const isolateButton = document.getElementById('isolate-selected');
+        const showAllButton = document.getElementById('show-all-nodes');
+        const selection = document.getElementById('scene-selection');
+
+        if (isolateButton) {
+            isolateButton.textContent = this.isolation ? 'Exit Isolate' : 'Isolate Selected';
+            isolateButton.disabled = !this.isolation && !this.selectedObject;
+        }
+        if (showAllButton) {
+            showAllButton.disabled = !this.currentModel;
+        }
+        if (selection) {
+            selection.textContent = this.selectedObject
+                ? `Selected: ${this.getSceneNodeLabel(this.selectedObject)}`
+                : 'Click the model or a row to select';
+        }
+    }
+
+    /**
+     * Apply visibility changes as one undo step
+     * @param {Map<THREE.Object3D, boolean>} changes - Node -> visible
+     * @param {string} label - History label
+     * @param {Map<THREE.Object3D, boolean>|null} [isolation] - Isolation state after the change
+     */
+    setNodeVisibility(changes, label, isolation = this.isolation) {
+        const before = new Map();
+        changes.forEach((visible, object) => before.set(object, object.visible));
+        const isolationBefore = this.isolation;
+        const owner = this.activeObject;
+
+        const apply = (values, isolationState) => {
+            // Objects deleted since are left alone
+            if (!this.stageObjects.includes(owner)) return;
+            if (owner !== this.activeObject) this.setActiveObject(owner);
+
+            values.forEach((visible, object) => {
+                object.visible = visible;
+            });
+            this.isolation = isolationState;
+            this.groundNeedsUpdate = true;
+            this.updateSceneTreeRows();
+            this.updateSceneGraphButtons();
+            this.updateModelStats();
+        };
+
+        apply(changes, isolation);
+        this.pushHistory({
+            label,
+            undo: () => apply(before, isolationBefore),
+            redo: () => apply(changes, isolation)
+        });
+    }
+
+    /**
+     * Hide everything but the selected node (and the path to it), or restore
+     * the visibility from before isolating
+     */
+    toggleIsolation() {
+        if (!this.currentModel) return;
+
+        if (this.isolation) {
+            this.setNodeVisibility(this.isolation, 'Exit isolate', null);
+            return;
+        }
+
+        const target = this.selectedObject;
+        if (!target) return;
+
+        const keep = new Set();
+        target.traverse(child => keep.add(child));
+        target.traverseAncestors(ancestor => keep.add(ancestor));
+
+        const changes = new Map();
+        const previous = new Map();
+        this.currentModel.traverse(object => {
+            previous.set(object, object.visible);
+            changes.set(object, keep.has(object) ? object.visible : false);
+        });
+        // Path to the isolated node has to be visible for it to show
+        target.traverseAncestors(ancestor => {
+            if (previous.has(ancestor)) changes.set(ancestor, true);
+        });
+        changes.set(target, true);
+
+        this.setNodeVisibility(changes, `Isolate ${this.getSceneNodeLabel(target)}`, previous);
+        console.log(`🔍 Isolated ${this.getSceneNodeLabel(target)}`);
+    }
+
+    showAllNodes() {
+        if (!this.currentModel) return;
+
+        const changes = new Map();
+        this.currentModel.traverse(object => changes.set(object, true));
+        this.setNodeVisibility(changes, 'Show all', null);
+    }
+
+    /**
+     * Select a node (or null): highlight it in the viewport and the tree
+     */
+    selectObject(object) {
+        this.selectedObject = object;
+
+        if (this.selectionHelper) {
+            this.scene.remove(this.selectionHelper);
+            this.selectionHelper.dispose();
+            this.selectionHelper = null;
+        }
+
+        if (object) {
+            this.selectionHelper = new THREE.BoxHelper(object, 0xccfd50);
+            this.scene.add(this.selectionHelper);
+
+            // Reveal the row
+            let expandedNew = false;
+            object.traverseAncestors(ancestor => {
+                if (!this.sceneTreeExpanded.has(ancestor.uuid)) {
+                    this.sceneTreeExpanded.add(ancestor.uuid);
+                    expandedNew = true;
                 }
-            },
-            (error) => {
-                console.error('❌ Error loading HDRI:', error);
-                alert(`Failed to load HDRI: ${presetName}. Check console for details.`);
+            });
+            if (expandedNew) this.buildSceneTree();
+            this.sceneTreeRows.get(object)?.row.scrollIntoView({ block: 'nearest' });
+
+            // Edit the selected mesh's material
+            const entryIndex = this.materialEntries.findIndex(entry => entry.slots.some(slot => slot.mesh === object));
+            const materialSelect = document.getElementById('material-select');
+            if (entryIndex >= 0 && materialSelect) {
+                materialSelect.value = entryIndex;
+                this.updateMaterialControls();
             }
+
+            console.log(`🎯 Selected ${this.getSceneNodeLabel(object)}`);
+        }
+
+        this.updateSceneTreeRows();
+        this.updateSceneGraphButtons();
+    }
+
+    /**
+     * Select the visible node under a canvas click (the deepest listed node),
+     * making its object the active one
+     */
+    pickObject(event) {
+        if (this.stageObjects.length === 0) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
         );
+
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const hit = this.raycaster.intersectObject(this.stage, true).find(({ object }) => {
+            let shown = object.visible;
+            object.traverseAncestors(ancestor => {
+                if (!ancestor.visible) shown = false;
+            });
+            return shown;
+        });
+
+        const object = hit ? this.getStageObjectOf(hit.object) : null;
+        if (object && object !== this.activeObject) {
+            this.setActiveObject(object);
+        }
+
+        let target = hit ? hit.object : null;
+        while (target && target !== this.currentModel && !this.isSceneTreeNode(target)) {
+            target = target.parent;
+        }
+        this.selectObject(target);
     }
-    
-    generateRotatedEnvironment(texture, rotationRadians) {
-        console.log(`🔄 Generating environment with rotation: ${(rotationRadians * 180 / Math.PI).toFixed(1)}°`);
-        
-        // Always generate PMREM from original equirectangular as-is
-        if (this.currentHDRI) {
-            this.currentHDRI.dispose();
+
+    setupSceneGraphControls() {
+        const isolateButton = document.getElementById('isolate-selected');
+        const showAllButton = document.getElementById('show-all-nodes');
+
+        if (isolateButton) {
+            isolateButton.addEventListener('click', () => this.toggleIsolation());
         }
-        const envMap = this.pmremGenerator.fromEquirectangular(texture).texture;
-        
-        // Apply to scene lighting (always active for IBL)
-        this.scene.environment = envMap;
-        
-        // Store the HDRI texture
-        this.currentHDRI = envMap;
-        
-        // Rotate the cube map using environmentRotation/backgroundRotation (r162+)
-        if (this.scene.environmentRotation) {
-            this.scene.environmentRotation.set(0, rotationRadians, 0);
+        if (showAllButton) {
+            showAllButton.addEventListener('click', () => this.showAllNodes());
         }
-        if (this.scene.backgroundRotation) {
-            this.scene.backgroundRotation.set(0, rotationRadians, 0);
+
+        // Click (not drag) on the canvas selects; drags stay with the orbit controls
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.pointerDownPosition = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+        });
+        this.canvas.addEventListener('pointerup', (e) => {
+            const start = this.pointerDownPosition;
+            this.pointerDownPosition = null;
+            if (!start || Math.hypot(e.clientX - start.x, e.clientY - start.y) > 4) return;
+            this.pickObject(e);
+        });
+
+        this.buildSceneTree();
+    }
+
+    /**
+     * Diagnostic material replacing `source` in the current render mode
+     */
+    getRenderModeMaterial(source) {
+        if (this.renderModeMaterials.has(source)) {
+            return this.renderModeMaterials.get(source);
         }
-        
-        // Use centralized background management for scene.background
-        this.updateCanvasBackground();
-        
-        // Apply to existing model materials (envMap comes from scene.environment)
-        if (this.currentModel) {
-            this.applyEnvironmentToModel();
+
+        let material;
+        switch (this.renderMode) {
+            case 'normalsWorld':
+            case 'normalsTangent': {
+                const tangent = this.renderMode === 'normalsTangent';
+                material = new THREE.MeshNormalMaterial({
+                    normalMap: source.normalMap || null,
+                    flatShading: !!source.flatShading,
+                    side: THREE.DoubleSide
+                });
+                if (source.normalScale) material.normalScale.copy(source.normalScale);
+
+                // World-space normal (or the sampled tangent-space normal); back faces in red show flipped normals
+                const color = tangent
+                    ? `#ifdef USE_NORMALMAP_TANGENTSPACE
+                        vec3 shownNormal = normalize( mapN );
+                    #else
+                        vec3 shownNormal = vec3( 0.0, 0.0, 1.0 );
+                    #endif`
+                    : 'vec3 shownNormal = normalize( ( vec4( normal, 0.0 ) * viewMatrix ).xyz );';
+                material.onBeforeCompile = (shader) => {
+                    shader.fragmentShader = shader.fragmentShader.replace(
+                        'gl_FragColor = vec4( packNormalToRGB( normal ), diffuseColor.a );',
+                        `${color}
+                        gl_FragColor = vec4( gl_FrontFacing ? packNormalToRGB( shownNormal ) : vec3( 1.0, 0.0, 0.0 ), diffuseColor.a );`
+                    );
+                };
+                material.customProgramCacheKey = () => tangent ? 'tangent-normals-view' : 'world-normals-view';
+                break;
+            }
+            case 'uvChecker':
+                material = new THREE.MeshBasicMaterial({
+                    map: this.getUVCheckerTexture(),
+                    side: source.side
+                });
+                break;
+            case 'matcap':
+                material = new THREE.MeshMatcapMaterial({
+                    matcap: this.getMatcapTexture(),
+                    normalMap: source.normalMap || null,
+                    flatShading: !!source.flatShading,
+                    side: source.side
+                });
+                if (source.normalScale) material.normalScale.copy(source.normalScale);
+                break;
+            case 'depth':
+                // Linear depth across the model's extent (white = near)
+                material = new THREE.MeshDepthMaterial({ side: source.side });
+                material.onBeforeCompile = (shader) => {
+                    Object.assign(shader.uniforms, this.depthViewUniforms, {
+                        cameraNear: { value: this.camera.near },
+                        cameraFar: { value: this.camera.far }
+                    });
+                    shader.fragmentShader = shader.fragmentShader
+                        .replace('void main() {', `uniform float depthNear;
+                        uniform float depthFar;
+                        uniform float cameraNear;
+                        uniform float cameraFar;
+                        void main() {`)
+                        .replace(
+                            'gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );',
+                            `float viewDistance = -perspectiveDepthToViewZ( fragCoordZ, cameraNear, cameraFar );
+                            gl_FragColor = vec4( vec3( 1.0 - saturate( ( viewDistance - depthNear ) / ( depthFar - depthNear ) ) ), opacity );`
+                        );
+                };
+                material.customProgramCacheKey = () => 'depth-view';
+                break;
+            case 'overdraw':
+                // Every layer adds up: bright areas are drawn many times
+                if (!this.overdrawMaterial) {
+                    this.overdrawMaterial = new THREE.MeshBasicMaterial({
+                        color: new THREE.Color().setRGB(0.12, 0.05, 0.02),
+                        blending: THREE.AdditiveBlending,
+                        transparent: true,
+                        depthTest: false,
+                        depthWrite: false,
+                        side: THREE.DoubleSide,
+                        toneMapped: false
+                    });
+                }
+                return this.overdrawMaterial;
+            default:
+                return source;
         }
-        
-        console.log(`✓ Environment applied (lighting always on)`);
+
+        material.toneMapped = false;
+        this.renderModeMaterials.set(source, material);
+        return material;
     }
-    
-    updateHDRISettings(forceRegenerate = false) {
-        const rotationRadians = this.hdriRotation * Math.PI / 180;
-        
-        console.log(`🔄 Updating HDRI settings...`);
-        console.log(`  - Rotation: ${this.hdriRotation}°`);
-        console.log(`  - Intensity: ${this.hdriIntensity}`);
-        
-        // Preferred: rotate cube map via environmentRotation (fast, correct)
-        if (this.scene.environmentRotation) {
-            this.scene.environmentRotation.set(0, rotationRadians, 0);
+
+    /**
+     * Labeled checker (letters by column, numbers by row) so stretched,
+     * mirrored or rotated UVs stand out
+     */
+    getUVCheckerTexture() {
+        if (this.uvCheckerTexture) return this.uvCheckerTexture;
+
+        const size = 1024;
+        const cells = 8;
+        const cell = size / cells;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `bold ${cell * 0.32}px sans-serif`;
+
+        for (let row = 0; row < cells; row++) {
+            for (let column = 0; column < cells; column++) {
+                const hue = (column / cells) * 360;
+                const light = (row + column) % 2 === 0;
+                ctx.fillStyle = `hsl(${hue}, 55%, ${light ? 72 : 38}%)`;
+                ctx.fillRect(column * cell, row * cell, cell, cell);
+
+                ctx.fillStyle = light ? '#222' : '#fff';
+                ctx.fillText(`${String.fromCharCode(65 + column)}${cells - row}`, (column + 0.5) * cell, (row + 0.5) * cell);
+            }
         }
-        if (this.scene.backgroundRotation) {
-            this.scene.backgroundRotation.set(0, rotationRadians, 0);
+
+        this.uvCheckerTexture = new THREE.CanvasTexture(canvas);
+        this.uvCheckerTexture.colorSpace = THREE.SRGBColorSpace;
+        this.uvCheckerTexture.wrapS = THREE.RepeatWrapping;
+        this.uvCheckerTexture.wrapT = THREE.RepeatWrapping;
+        this.uvCheckerTexture.anisotropy = this.renderer.capabilities.getMaxAnisotropy();
+        return this.uvCheckerTexture;
+    }
+
+    /**
+     * Neutral clay matcap, lit from the top left
+     */
+    getMatcapTexture() {
+        if (this.matcapTexture) return this.matcapTexture;
+
+        const size = 256;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+
+        const gradient = ctx.createRadialGradient(size * 0.38, size * 0.32, 0, size / 2, size / 2, size / 2);
+        gradient.addColorStop(0, '#f4f1ed');
+        gradient.addColorStop(0.4, '#bdb6ae');
+        gradient.addColorStop(0.85, '#5d5750');
+        gradient.addColorStop(1, '#2b2825');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, size, size);
+
+        this.matcapTexture = new THREE.CanvasTexture(canvas);
+        this.matcapTexture.colorSpace = THREE.SRGBColorSpace;
+        return this.matcapTexture;
+    }
+
+    /**
+     * Wireframe copy of a mesh, attached only while rendering (shares geometry,
+     * skeleton, morph weights and instances)
+     */
+    getWireframeOverlay(mesh) {
+        let overlay = this.wireframeOverlays.get(mesh);
+        if (overlay) return overlay;
+
+        if (!this.wireframeMaterial) {
+            this.wireframeMaterial = new THREE.MeshBasicMaterial({
+                color: 0x000000,
+                wireframe: true,
+                transparent: true,
+                opacity: 0.45,
+                toneMapped: false
+            });
         }
-        
-        // Optionally regenerate env (fallback, usually not needed now)
-        if (this.originalHDRITexture && forceRegenerate) {
-            this.generateRotatedEnvironment(this.originalHDRITexture, rotationRadians);
+
+        overlay = mesh.clone(false);
+        overlay.material = this.wireframeMaterial;
+        overlay.position.set(0, 0, 0);
+        overlay.quaternion.identity();
+        overlay.scale.set(1, 1, 1);
+        overlay.castShadow = false;
+        overlay.receiveShadow = false;
+        overlay.morphTargetInfluences = mesh.morphTargetInfluences;
+        if (mesh.isInstancedMesh) overlay.instanceMatrix = mesh.instanceMatrix;
+
+        this.wireframeOverlays.set(mesh, overlay);
+        return overlay;
+    }
+
+    /**
+     * Swap the stage objects' materials for the render mode's
+     * @returns {Function} Restores the exact materials (and state) from before
+     */
+    applyRenderMode() {
+        const meshes = [];
+        this.stage.traverseVisible(child => {
+            if (child.isMesh && child.material) meshes.push(child);
+        });
+
+        if (this.renderMode === 'wireframe') {
+            // Push the shaded surface back so the wires don't z-fight
+            const offsets = new Map();
+            meshes.forEach(mesh => {
+                const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+                materials.forEach(material => {
+                    if (offsets.has(material)) return;
+                    offsets.set(material, [material.polygonOffset, material.polygonOffsetFactor, material.polygonOffsetUnits]);
+                    material.polygonOffset = true;
+                    material.polygonOffsetFactor = 1;
+                    material.polygonOffsetUnits = 1;
+                });
+                mesh.add(this.getWireframeOverlay(mesh));
+            });
+
+            return () => {
+                meshes.forEach(mesh => mesh.remove(this.wireframeOverlays.get(mesh)));
+                offsets.forEach(([enabled, factor, units], material) => {
+                    material.polygonOffset = enabled;
+                    material.polygonOffsetFactor = factor;
+                    material.polygonOffsetUnits = units;
+                });
+            };
         }
 
-        // Update tone mapping settings ONLY if HDRI background is visible
-        // Otherwise preserve settings from updateCanvasBackground()
-        if (this.hdriBackgroundVisible) {
-            this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-            this.renderer.toneMappingExposure = this.hdriIntensity;
-            console.log(`  ✓ Tone mapping: ACES, exposure: ${this.hdriIntensity} (HDRI visible)`);
-        } else {
-            console.log(`  ✓ Tone mapping preserved (HDRI not visible, using background mode setting)`);
+        if (this.renderMode === 'depth') {
+            const sphere = new THREE.Box3().setFromObject(this.stage).getBoundingSphere(new THREE.Sphere());
+            const distance = this.camera.position.distanceTo(sphere.center);
+            this.depthViewUniforms.depthNear.value = Math.max(distance - sphere.radius, this.camera.near);
+            this.depthViewUniforms.depthFar.value = distance + sphere.radius;
         }
-        
-        // Update all material env map intensities
-        let materialsUpdated = 0;
-        this.scene.traverse((child) => {
-            if (child.isMesh && child.material) {
-                const materials = Array.isArray(child.material) ? child.material : [child.material];
-                materials.forEach(mat => {
-                    mat.envMapIntensity = this.hdriIntensity;
-                    mat.needsUpdate = true;
-                    materialsUpdated++;
-                });
-            }
+
+        const originals = meshes.map(mesh => mesh.material);
+        meshes.forEach(mesh => {
+            mesh.material = Array.isArray(mesh.material)
+                ? mesh.material.map(material => this.getRenderModeMaterial(material))
+                : this.getRenderModeMaterial(mesh.material);
         });
-        
-        console.log(`  ✓ Updated ${materialsUpdated} materials with intensity`);
-        
-        // Update sun light position to match HDRI rotation
-        this.updateSunLightPosition();
 
-        // Apply user's manual model rotations in WORLD/GLOBAL space (independent of HDRI rotation)
-        // This ensures X, Y, Z rotations are ALWAYS around world axes, not local object axes
-        if (this.modelContainer) {
-            const userRotX = parseFloat(document.getElementById('rotation-x').value) * Math.PI / 180;
-            const userRotY = parseFloat(document.getElementById('rotation-y').value) * Math.PI / 180;
-            const userRotZ = parseFloat(document.getElementById('rotation-z').value) * Math.PI / 180;
+        return () => {
+            meshes.forEach((mesh, index) => {
+                mesh.material = originals[index];
+            });
+        };
+    }
 
-            // WORLD-SPACE ROTATION: Build rotation matrix from world axes
-            // This ensures rotations are ALWAYS around global X, Y, Z regardless of object orientation
-            const rotMatrix = new THREE.Matrix4();
-            const rotX = new THREE.Matrix4().makeRotationX(userRotX);
-            const rotY = new THREE.Matrix4().makeRotationY(userRotY);
-            const rotZ = new THREE.Matrix4().makeRotationZ(userRotZ);
+    setRenderMode(mode) {
+        this.disposeRenderModeMaterials();
+        this.renderMode = mode;
 
-            // Apply in order: Y (yaw) → X (pitch) → Z (roll) around WORLD axes
-            rotMatrix.multiply(rotY).multiply(rotX).multiply(rotZ);
+        const hint = document.getElementById('render-mode-hint');
+        if (hint) {
+            hint.textContent = mode.startsWith('normals')
+                ? 'Red faces are back faces (flipped normals)'
+                : 'Diagnostic modes show in exports too';
+        }
 
-            // Extract rotation from matrix (ignores any existing rotation)
-            this.modelContainer.rotation.setFromRotationMatrix(rotMatrix);
+        console.log(`🔬 Render mode: ${mode}`);
+    }
 
-            console.log(`  ✓ Model rotation applied in WORLD SPACE (X:${userRotX.toFixed(2)}, Y:${userRotY.toFixed(2)}, Z:${userRotZ.toFixed(2)})`);
-        }
+    disposeRenderModeMaterials() {
+        this.renderModeMaterials.forEach(material => material.dispose());
+        this.renderModeMaterials.clear();
+        this.wireframeOverlays.clear();
+    }
 
-        console.log(`✅ HDRI settings updated successfully`);
+    setupRenderModeControls() {
+        const select = document.getElementById('render-mode');
+        if (!select) return;
+
+        select.addEventListener('change', (e) => this.setRenderMode(e.target.value));
     }
-    
-    loadModel(file) {
-        const fileName = file.name.toLowerCase();
-        const fileURL = URL.createObjectURL(file);
-        
-        // Clear existing model
-        this.clearModel();
-        
-        if (fileName.endsWith('.glb') || fileName.endsWith('.gltf')) {
-            this.loadGLTF(fileURL);
-        } else if (fileName.endsWith('.fbx')) {
-            this.loadFBX(fileURL);
+
+    /**
+     * Size and estimated GPU memory of a texture (mip chain included)
+     */
+    getTextureInfo(texture) {
+        const image = texture.image || {};
+        const level = texture.isCompressedTexture && texture.mipmaps?.length ? texture.mipmaps[0] : image;
+        const width = level.width || image.videoWidth || 0;
+        const height = level.height || image.videoHeight || 0;
+
+        let bytes;
+        if (texture.isCompressedTexture && texture.mipmaps?.length) {
+            bytes = texture.mipmaps.reduce((sum, mipmap) => sum + (mipmap.data?.byteLength || 0), 0);
         } else {
-            console.error('Unsupported file format');
-            alert('Please upload a GLB, GLTF, or FBX file');
+            bytes = width * height * 4 * (texture.generateMipmaps ? 4 / 3 : 1);
         }
+
+        return { width, height, bytes };
     }
-    
-    loadGLTF(url) {
-        this.gltfLoader.load(
-            url,
-            (gltf) => {
-                this.currentModel = gltf.scene;
-                this.processLoadedModel();
-                console.log('GLTF model loaded successfully');
-            },
-            (progress) => {
-                console.log('Loading:', (progress.loaded / progress.total * 100) + '%');
-            },
-            (error) => {
-                console.error('Error loading GLTF:', error);
+
+    /**
+     * Count what the visible part of the model costs to render
+     * (materials and textures are the originals, not look overrides)
+     */
+    collectModelStats() {
+        const stats = {
+            meshes: 0,
+            triangles: 0,
+            vertices: 0,
+            drawCalls: 0,
+            geometryBytes: 0,
+            materials: 0,
+            textures: [],
+            textureBytes: 0,
+            clips: this.animationClips.map(clip => ({ name: clip.name || 'Unnamed', duration: clip.duration })),
+            size: null, // Metres (W × H × D)
+            unit: null
+        };
+
+        const visibleMeshes = new Set();
+        const geometries = new Set();
+        this.currentModel.traverseVisible(child => {
+            if (!(child.isMesh || child.isPoints || child.isLine) || !child.geometry) return;
+
+            const geometry = child.geometry;
+            const position = geometry.getAttribute('position');
+            if (!position) return;
+
+            const index = geometry.getIndex();
+            const instances = child.isInstancedMesh ? child.count : 1;
+            const count = Math.min(geometry.drawRange.count, index ? index.count : position.count);
+
+            stats.meshes++;
+            stats.vertices += position.count * instances;
+            if (child.isMesh) {
+                stats.triangles += Math.floor(count / 3) * instances;
+                visibleMeshes.add(child);
             }
-        );
-    }
-    
-    loadFBX(url) {
-        this.fbxLoader.load(
-            url,
-            (fbx) => {
-                this.currentModel = fbx;
-                this.processLoadedModel();
-                console.log('FBX model loaded successfully');
-            },
-            (progress) => {
-                console.log('Loading:', (progress.loaded / progress.total * 100) + '%');
-            },
-            (error) => {
-                console.error('Error loading FBX:', error);
+            // Multi-material meshes draw once per group
+            stats.drawCalls += Array.isArray(child.material) ? Math.max(1, geometry.groups.length) : 1;
+
+            if (!geometries.has(geometry)) {
+                geometries.add(geometry);
+                Object.values(geometry.attributes).forEach(attribute => {
+                    stats.geometryBytes += attribute.array.byteLength;
+                });
+                if (index) stats.geometryBytes += index.array.byteLength;
             }
-        );
-    }
-    
-    processLoadedModel() {
-        if (!this.currentModel) return;
+        });
 
-        // Add model to container
-        this.modelContainer.add(this.currentModel);
+        const textures = new Map();
+        this.materialEntries.forEach(entry => {
+            if (!entry.slots.some(slot => visibleMeshes.has(slot.mesh))) return;
+            stats.materials++;
+
+            Object.entries(entry.material).forEach(([property, value]) => {
+                if (!value || !value.isTexture) return;
+
+                if (!textures.has(value)) {
+                    const source = value.image?.src;
+                    const fileName = source && !/^(blob|data):/.test(source) ? source.split('/').pop().split('?')[0] : null;
+                    const name = value.name || fileName || `${entry.material.name || 'material'}.${property}`;
+                    textures.set(value, { name, ...this.getTextureInfo(value) });
+                }
+            });
+        });
+        stats.textures = Array.from(textures.values());
+        stats.textureBytes = stats.textures.reduce((sum, texture) => sum + texture.bytes, 0);
+
+        // Real-world size: the model's own units, before the transform sliders
+        this.modelContainer.updateMatrixWorld(true);
+        const box = this.getVisibleBounds(this.currentModel, this.modelContainer);
+        if (!box.isEmpty()) {
+            stats.unit = this.modelUnitOverride === 'auto' ? this.activeObject.unit : this.modelUnitOverride;
+            stats.size = box.getSize(new THREE.Vector3()).multiplyScalar(this.units[stats.unit]);
+        }
 
-        // Auto-center model
-        this.centerModel();
+        return stats;
+    }
 
-        // Auto-scale model to fit canvas
-        this.autoScaleModel();
+    /**
+     * Items over the current budgets
+     * @returns {string[]} Human-readable flags
+     */
+    getBudgetFlags(stats) {
+        const flags = [];
+        const budgets = this.budgets;
+        const format = (value) => value.toLocaleString();
 
-        // Enable shadows for realistic rendering
-        this.enableModelShadows();
+        if (budgets.triangles > 0 && stats.triangles > budgets.triangles) {
+            flags.push(`Triangles: ${format(stats.triangles)} > ${format(budgets.triangles)}`);
+        }
+        if (budgets.drawCalls > 0 && stats.drawCalls > budgets.drawCalls) {
+            flags.push(`Draw calls: ${stats.drawCalls} > ${budgets.drawCalls}`);
+        }
+        if (budgets.textureMemory > 0 && stats.textureBytes > budgets.textureMemory * 1024 * 1024) {
+            flags.push(`Texture memory: ${this.formatBytes(stats.textureBytes)} > ${budgets.textureMemory} MB`);
+        }
+        if (budgets.textureSize > 0) {
+            stats.textures
+                .filter(texture => Math.max(texture.width, texture.height) > budgets.textureSize)
+                .forEach(texture => {
+                    flags.push(`Texture ${texture.name}: ${texture.width}×${texture.height} > ${budgets.textureSize}px`);
+                });
+        }
 
-        // Apply environment map to all materials
-        this.applyEnvironmentToModel();
+        return flags;
+    }
 
-        console.log('Model processed and centered with shadows enabled');
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.ceil(bytes / 1024)} KB`;
     }
 
     /**
-     * Enable shadow casting and receiving for all meshes in the model
-     * This is essential for realistic self-shadowing with the sun light
+     * Metres as the most readable unit
      */
-    enableModelShadows() {
-        if (!this.currentModel) return;
+    formatLength(metres) {
+        if (metres >= 1) return `${metres.toFixed(2)} m`;
+        if (metres >= 0.01) return `${(metres * 100).toFixed(1)} cm`;
+        return `${(metres * 1000).toFixed(1)} mm`;
+    }
 
-        let meshCount = 0;
-        this.currentModel.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;    // Model casts shadows
-                child.receiveShadow = true; // Model receives shadows (self-shadowing)
-                meshCount++;
+    updateModelStats() {
+        const container = document.getElementById('model-stats');
+        const flagList = document.getElementById('budget-flags');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (flagList) flagList.innerHTML = '';
+
+        if (!this.currentModel) {
+            this.modelStats = null;
+            const empty = document.createElement('p');
+            empty.className = 'chatooly-text-small chatooly-text-muted';
+            empty.textContent = 'No model loaded';
+            container.appendChild(empty);
+            return;
+        }
+
+        const stats = this.collectModelStats();
+        this.modelStats = stats;
+        const flags = this.getBudgetFlags(stats);
+        const format = (value) => value.toLocaleString();
+
+        const addLine = (name, value, over = false) => {
+            const line = document.createElement('div');
+            line.style.display = 'flex';
+            line.style.justifyContent = 'space-between';
+            line.style.fontSize = '12px';
+
+            const label = document.createElement('span');
+            label.textContent = name;
+            const text = document.createElement('span');
+            text.textContent = value;
+            if (over) text.style.color = 'var(--chatooly-color-error, #ff5a5a)';
+
+            line.appendChild(label);
+            line.appendChild(text);
+            container.appendChild(line);
+        };
+
+        const budgets = this.budgets;
+        addLine('Object', this.activeObject.name);
+        addLine('Triangles', format(stats.triangles), budgets.triangles > 0 && stats.triangles > budgets.triangles);
+        addLine('Vertices', format(stats.vertices));
+        addLine('Meshes', format(stats.meshes));
+        addLine('Draw calls', format(stats.drawCalls), budgets.drawCalls > 0 && stats.drawCalls > budgets.drawCalls);
+        addLine('Materials', format(stats.materials));
+        addLine('Textures', `${stats.textures.length} · ${this.formatBytes(stats.textureBytes)}`,
+            budgets.textureMemory > 0 && stats.textureBytes > budgets.textureMemory * 1024 * 1024);
+        addLine('Geometry', this.formatBytes(stats.geometryBytes));
+        addLine('Animation clips', stats.clips.length > 0
+            ? stats.clips.map(clip => `${clip.name} (${clip.duration.toFixed(1)}s)`).join(', ')
+            : 'None');
+        if (stats.size) {
+            addLine(`Size (1 unit = ${stats.unit})`, [stats.size.x, stats.size.y, stats.size.z].map(value => this.formatLength(value)).join(' × '));
+        }
+
+        if (stats.textures.length > 0) {
+            const list = document.createElement('ul');
+            list.style.margin = '4px 0 0 16px';
+            list.style.padding = '0';
+            list.style.fontSize = '11px';
+            stats.textures
+                .slice()
+                .sort((a, b) => b.bytes - a.bytes)
+                .forEach(texture => {
+                    const item = document.createElement('li');
+                    item.style.wordBreak = 'break-all';
+                    item.textContent = `${texture.name}: ${texture.width}×${texture.height} · ${this.formatBytes(texture.bytes)}`;
+                    if (budgets.textureSize > 0 && Math.max(texture.width, texture.height) > budgets.textureSize) {
+                        item.style.color = 'var(--chatooly-color-error, #ff5a5a)';
+                    }
+                    list.appendChild(item);
+                });
+            container.appendChild(list);
+        }
+
+        if (flagList) {
+            flagList.style.color = flags.length > 0 ? 'var(--chatooly-color-error, #ff5a5a)' : '';
+            if (flags.length === 0) {
+                flagList.textContent = '✓ Within budget';
             }
-        });
+            flags.forEach(flag => {
+                const line = document.createElement('div');
+                line.textContent = `⚠️ ${flag}`;
+                flagList.appendChild(line);
+            });
+        }
 
-        console.log(`  ✓ Enabled shadows for ${meshCount} meshes (cast + receive for self-shadowing)`);
+        if (flags.length > 0) {
+            console.warn(`⚠️ Over budget: ${flags.join('; ')}`);
+        }
     }
-    
-    centerModel() {
-        if (!this.currentModel) return;
-        
-        // Calculate bounding box
-        const box = new THREE.Box3().setFromObject(this.currentModel);
-        const center = box.getCenter(new THREE.Vector3());
-        
-        // Center the model
-        this.currentModel.position.x = -center.x;
-        this.currentModel.position.y = -center.y;
-        this.currentModel.position.z = -center.z;
+
+    loadBudgets() {
+        try {
+            const stored = window.localStorage.getItem(this.budgetsStorageKey);
+            if (stored) this.budgets = { ...this.budgets, ...JSON.parse(stored) };
+        } catch (error) {
+            console.warn('⚠️ Could not read budgets:', error);
+        }
     }
-    
-    autoScaleModel() {
-        if (!this.currentModel) return;
-        
-        // Calculate bounding box
-        const box = new THREE.Box3().setFromObject(this.currentModel);
-        const size = box.getSize(new THREE.Vector3());
-        
-        // Find max dimension
-        const maxDim = Math.max(size.x, size.y, size.z);
-        
-        // Scale to fit in view (target size ~2 units)
-        const targetSize = 2;
-        const scale = targetSize / maxDim;
-        
-        this.modelContainer.scale.setScalar(scale);
-        
-        // Update scale slider to match
-        document.getElementById('scale-slider').value = scale;
-        document.getElementById('scale-value').textContent = scale.toFixed(2);
+
+    persistBudgets() {
+        try {
+            window.localStorage.setItem(this.budgetsStorageKey, JSON.stringify(this.budgets));
+        } catch (error) {
+            console.warn('⚠️ Could not persist budgets:', error);
+        }
     }
-    
-    applyEnvironmentToModel() {
-        if (!this.currentModel) return;
-        
-        this.currentModel.traverse((child) => {
-            if (child.isMesh) {
-                if (child.material) {
-                    const materials = Array.isArray(child.material) ? child.material : [child.material];
-                    
-                    materials.forEach(mat => {
-                        // IMPORTANT: Do NOT assign envMap directly.
-                        // Let Three.js use scene.environment so environmentRotation is respected.
-                        mat.envMapIntensity = this.hdriIntensity;
-                        
-                        // Enable better PBR rendering
-                        if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
-                            // These materials already support PBR correctly
-                            mat.needsUpdate = true;
-                        } else if (mat.isMeshBasicMaterial || mat.isMeshLambertMaterial) {
-                            // Basic materials don't support PBR, but we can still apply envMap
-                            mat.needsUpdate = true;
-                        }
-                        
-                        // Ensure proper rendering with IBL
-                        mat.needsUpdate = true;
-                    });
-                }
-            }
+
+    updateBudgetControls() {
+        const presetSelect = document.getElementById('budget-preset');
+        if (presetSelect) presetSelect.value = this.budgets.preset;
+
+        ['triangles', 'drawCalls', 'textureSize', 'textureMemory'].forEach(key => {
+            const input = document.getElementById(`budget-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`);
+            if (input) input.value = this.budgets[key];
         });
-        
-        console.log('Environment map applied to model materials');
     }
-    
-    clearModel() {
-        if (this.currentModel) {
-            this.modelContainer.remove(this.currentModel);
-            
-            // Dispose of geometries and materials
-            this.currentModel.traverse((child) => {
-                if (child.isMesh) {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(mat => mat.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
-                    }
-                }
+
+    setupStatsControls() {
+        this.loadBudgets();
+        this.updateBudgetControls();
+
+        const presetSelect = document.getElementById('budget-preset');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', (e) => {
+                const preset = this.budgetPresets[e.target.value];
+                this.budgets = preset ? { preset: e.target.value, ...preset } : { ...this.budgets, preset: 'custom' };
+                this.persistBudgets();
+                this.updateBudgetControls();
+                this.updateModelStats();
+            });
+        }
+
+        ['triangles', 'drawCalls', 'textureSize', 'textureMemory'].forEach(key => {
+            const input = document.getElementById(`budget-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`);
+            if (!input) return;
+
+            // Editing a limit turns the preset into a custom budget (0 = no limit)
+            input.addEventListener('change', (e) => {
+                this.budgets[key] = Math.max(0, parseFloat(e.target.value) || 0);
+                this.budgets.preset = 'custom';
+                this.persistBudgets();
+                this.updateBudgetControls();
+                this.updateModelStats();
+            });
+        });
+
+        const unitSelect = document.getElementById('model-unit');
+        if (unitSelect) {
+            unitSelect.addEventListener('change', (e) => {
+                this.modelUnitOverride = e.target.value;
+                this.updateModelStats();
             });
-            
-            this.currentModel = null;
         }
+
+        this.updateModelStats();
     }
-    
+
     setupEventListeners() {
         // Initialize Chatooly Background Manager
         if (window.Chatooly && window.Chatooly.backgroundManager) {
@@ -768,6 +5292,19 @@ class ModelViewer {
             this.setupBackgroundControls();
         }
         
+        // Camera views and FOV
+        this.setupCameraControls();
+        this.setupOutputSizeControls();
+        this.setupExportControls();
+
+        // Stage objects, scene graph inspector and canvas picking
+        this.setupObjectControls();
+        this.setupSceneGraphControls();
+        this.setupMaterialControls();
+        this.setupRenderModeControls();
+        this.setupStatsControls();
+        this.setupModelExportControls();
+
         // CRITICAL: Listen for Chatooly canvas resize events
         document.addEventListener('chatooly:canvas-resized', (e) => {
             this.onCanvasResized(e);
@@ -775,52 +5312,81 @@ class ModelViewer {
         
         // Model upload
         document.getElementById('model-upload').addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                this.loadModel(file);
+            const files = Array.from(e.target.files);
+            e.target.value = ''; // Allow adding the same model again
+            if (files.length > 0) {
+                this.loadModelFiles(files);
             }
         });
+
+        // Drop files anywhere on the canvas: HDRIs become environments, everything else a model
+        const container = document.getElementById('chatooly-container');
+        if (container) {
+            container.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                container.style.outline = '2px dashed var(--chatooly-color-primary, #CCFD50)';
+            });
+            container.addEventListener('dragleave', (e) => {
+                if (!container.contains(e.relatedTarget)) container.style.outline = '';
+            });
+            container.addEventListener('drop', (e) => {
+                e.preventDefault();
+                container.style.outline = '';
+                this.handleDroppedFiles(e.dataTransfer.files);
+            });
+        }
+
+        // Model drop zone (accepts several files or a .zip)
+        const dropZone = document.getElementById('model-drop-zone');
+        if (dropZone) {
+            dropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                dropZone.classList.add('active');
+            });
+            dropZone.addEventListener('dragleave', () => {
+                dropZone.classList.remove('active');
+            });
+            dropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dropZone.classList.remove('active');
+                if (e.dataTransfer.files.length > 0) {
+                    this.loadModelFiles(e.dataTransfer.files);
+                }
+            });
+        }
         
+        // Transform sliders act on the active object (one undo step per drag)
+        this.setupTransformHistory();
+
         // Scale control
         document.getElementById('scale-slider').addEventListener('input', (e) => {
             const scale = parseFloat(e.target.value);
-            this.modelContainer.scale.setScalar(scale);
+            if (this.modelContainer) this.modelContainer.scale.setScalar(scale);
             document.getElementById('scale-value').textContent = scale.toFixed(1);
         });
         
         // Position controls
         document.getElementById('position-x').addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
-            this.modelContainer.position.x = value;
+            if (this.modelContainer) this.modelContainer.position.x = value;
             document.getElementById('position-x-value').textContent = value.toFixed(1);
         });
         
-        document.getElementById('position-y').addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            this.modelContainer.position.y = value;
-            document.getElementById('position-y-value').textContent = value.toFixed(1);
-        });
-        
-        // Rotation controls (world/global space)
-        document.getElementById('rotation-x').addEventListener('input', (e) => {
-            const degrees = parseFloat(e.target.value);
-            document.getElementById('rotation-x-value').textContent = degrees + '°';
-            // Update both model rotation and HDRI to maintain proper orientation
-            this.updateHDRISettings();
-        });
-        
-        document.getElementById('rotation-y').addEventListener('input', (e) => {
-            const degrees = parseFloat(e.target.value);
-            document.getElementById('rotation-y-value').textContent = degrees + '°';
-            // Update both model rotation and HDRI to maintain proper orientation
-            this.updateHDRISettings();
+        document.getElementById('position-y').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (this.modelContainer) this.modelContainer.position.y = value;
+            document.getElementById('position-y-value').textContent = value.toFixed(1);
         });
         
-        document.getElementById('rotation-z').addEventListener('input', (e) => {
-            const degrees = parseFloat(e.target.value);
-            document.getElementById('rotation-z-value').textContent = degrees + '°';
-            // Update both model rotation and HDRI to maintain proper orientation
-            this.updateHDRISettings();
+        // Rotation controls (world/global space)
+        ['x', 'y', 'z'].forEach((axis, index) => {
+            document.getElementById(`rotation-${axis}`).addEventListener('input', (e) => {
+                const degrees = parseFloat(e.target.value);
+                document.getElementById(`rotation-${axis}-value`).textContent = degrees + '°';
+                if (this.activeObject) this.activeObject.rotation[index] = degrees;
+                // Update both model rotation and HDRI to maintain proper orientation
+                this.updateHDRISettings();
+            });
         });
         
         // HDRI controls
@@ -829,6 +5395,14 @@ class ModelViewer {
             this.loadHDRI(e.target.value);
         });
         
+        document.getElementById('hdri-upload').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.addCustomHDRI(file);
+            }
+            e.target.value = ''; // Allow re-uploading the same file
+        });
+        
         document.getElementById('hdri-background-visible').addEventListener('change', (e) => {
             this.hdriBackgroundVisible = e.target.checked;
             console.log(`🎨 HDRI background visibility toggled: ${this.hdriBackgroundVisible}`);
@@ -871,6 +5445,26 @@ class ModelViewer {
             this.updateSunLightPosition();
         });
 
+        document.getElementById('sun-auto-match').addEventListener('change', (e) => {
+            this.sunAutoMatch = e.target.checked;
+            console.log(`☀️ Match sun to HDRI: ${this.sunAutoMatch}`);
+
+            if (this.sunAutoMatch && this.hdriLighting) {
+                this.applyHDRILightingAnalysis(this.hdriLighting);
+            } else {
+                // Back to a neutral white sun with default softness
+                this.sunColor.set(0xffffff);
+                this.sunLight.shadow.radius = 4;
+            }
+            this.updateSunLightPosition();
+        });
+
+        document.getElementById('sun-secondary-lights').addEventListener('change', (e) => {
+            this.secondaryLightsEnabled = e.target.checked;
+            console.log(`☀️ Secondary HDRI lights ${this.secondaryLightsEnabled ? 'enabled' : 'disabled'}`);
+            this.updateSecondaryLights();
+        });
+
         document.getElementById('sun-intensity').addEventListener('input', (e) => {
             this.sunIntensity = parseFloat(e.target.value);
             document.getElementById('sun-intensity-value').textContent = this.sunIntensity.toFixed(1);
@@ -888,251 +5482,1011 @@ class ModelViewer {
                 this.sunLight.shadow.mapSize.height = this.shadowQuality;
                 this.sunLight.shadow.map?.dispose();
                 this.sunLight.shadow.map = null;
+
+                // Keep HDRI-derived softness constant across resolutions
+                if (this.sunAutoMatch && this.hdriLighting && this.hdriLighting.lights[0]) {
+                    this.sunLight.shadow.radius = this.getShadowRadiusForLobe(this.hdriLighting.lights[0]);
+                }
                 console.log(`  ✓ Shadow map updated to ${this.shadowQuality}x${this.shadowQuality}`);
             }
         });
         
         // Turntable animation
-        document.getElementById('turntable-toggle').addEventListener('change', (e) => {
-            this.turntableEnabled = e.target.checked;
-        });
+        this.setupTurntableControls();
         
-        document.getElementById('turntable-speed').addEventListener('input', (e) => {
-            this.turntableSpeed = parseFloat(e.target.value);
-            document.getElementById('turntable-speed-value').textContent = this.turntableSpeed.toFixed(1);
+        // Embedded clip playback
+        this.setupAnimationControls();
+        this.setupGroundControls();
+        this.setupPostProcessingControls();
+        this.setupToneMappingControls();
+        this.setupLoopExportControls();
+
+        // Project save/load and share links
+        this.setupProjectControls();
+
+        // Undo/redo
+        this.setupHistory();
+
+        // Window resize
+        window.addEventListener('resize', () => this.onWindowResize());
+    }
+
+    // === CORE BACKGROUND UPDATE METHOD ===
+    // Single source of truth for managing canvas transparency and backgrounds
+    updateCanvasBackground() {
+        // Priority order:
+        // 1. HDRI background (if visible) - scene.background shows HDRI
+        // 2. Background image/color - rendered to background canvas via Chatooly API
+        // 3. Transparent mode - clear both canvases
+
+        if (this.hdriBackgroundVisible && this.currentHDRI) {
+            // HDRI showing - use HDRI texture as Three.js background
+            this.scene.background = this.currentHDRI;
+            this.renderer.setClearColor(0x000000, 1);
+
+            // Clear background canvas (HDRI is in Three.js layer)
+            this.clearBackgroundCanvas();
+            console.log('  ✓ Background mode: HDRI (Three.js layer)');
+        } else {
+            // Not showing HDRI - use transparent Three.js and render background via Chatooly
+            this.scene.background = null;
+            this.renderer.setClearColor(0x000000, 0);
+
+            // Render background using Chatooly.backgroundManager
+            this.renderBackgroundLayer();
+            console.log('  ✓ Background mode: Chatooly layer (accurate colors)');
+        }
+    }
+
+    clearBackgroundCanvas() {
+        if (this.backgroundCtx) {
+            this.backgroundCtx.clearRect(0, 0, this.backgroundCanvas.width, this.backgroundCanvas.height);
+        }
+    }
+
+    renderBackgroundLayer() {
+        if (!window.Chatooly || !window.Chatooly.backgroundManager || !this.backgroundCtx) {
+            console.warn('⚠️ Chatooly.backgroundManager not available, using fallback');
+            // Fallback: draw default color
+            const bgColor = document.getElementById('bg-color');
+            const color = bgColor ? bgColor.value : '#CCFD50';
+            this.backgroundCtx.fillStyle = color;
+            this.backgroundCtx.fillRect(0, 0, this.backgroundCanvas.width, this.backgroundCanvas.height);
+            return;
+        }
+
+        // Use Chatooly.backgroundManager to draw background with accurate colors and fitting
+        window.Chatooly.backgroundManager.drawToCanvas(
+            this.backgroundCtx,
+            this.backgroundCanvas.width,
+            this.backgroundCanvas.height
+        );
+    }
+    
+    setupBackgroundControls() {
+        console.log('🔍 Initializing background controls with Chatooly.backgroundManager');
+
+        // Initialize Chatooly background manager
+        if (window.Chatooly && window.Chatooly.backgroundManager) {
+            window.Chatooly.backgroundManager.init(this.canvas);
+            console.log('✅ Chatooly.backgroundManager initialized');
+        } else {
+            console.error('❌ Chatooly.backgroundManager not available');
+            return;
+        }
+
+        // Get all control elements
+        const transparentBg = document.getElementById('transparent-bg');
+        const bgColor = document.getElementById('bg-color');
+        const bgImage = document.getElementById('bg-image');
+        const clearBgImage = document.getElementById('clear-bg-image');
+        const bgFit = document.getElementById('bg-fit');
+
+        // === TRANSPARENT BACKGROUND TOGGLE ===
+        if (transparentBg) {
+            transparentBg.addEventListener('change', (e) => {
+                window.Chatooly.backgroundManager.setTransparent(e.target.checked);
+                // Hide color picker when transparent
+                const bgColorGroup = document.getElementById('bg-color-group');
+                if (bgColorGroup) {
+                    bgColorGroup.style.display = e.target.checked ? 'none' : 'block';
+                }
+                this.updateCanvasBackground();
+                console.log('🎨 Transparent background:', e.target.checked);
+            });
+        }
+
+        // === BACKGROUND COLOR ===
+        if (bgColor) {
+            bgColor.addEventListener('input', (e) => {
+                window.Chatooly.backgroundManager.setBackgroundColor(e.target.value);
+                this.updateCanvasBackground();
+                console.log('🎨 Background color:', e.target.value);
+            });
+        }
+
+        // === BACKGROUND IMAGE UPLOAD ===
+        if (bgImage) {
+            bgImage.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+
+                try {
+                    const previousFile = this.backgroundImageFile;
+                    await this.setBackgroundImageFile(file);
+                    this.pushHistory({
+                        label: 'Background Image',
+                        undo: () => this.applyBackgroundImageState(previousFile),
+                        redo: () => this.applyBackgroundImageState(file)
+                    });
+                } catch (error) {
+                    console.error('❌ Failed to load background image:', error);
+                    this.showError({
+                        title: "Couldn't load background image",
+                        file: file.name,
+                        reason: this.classifyLoadError(error),
+                        details: this.getErrorMessage(error)
+                    });
+                }
+            });
+        }
+
+        // === CLEAR BACKGROUND IMAGE ===
+        if (clearBgImage) {
+            clearBgImage.addEventListener('click', () => {
+                const previousFile = this.backgroundImageFile;
+                this.clearBackgroundImage();
+                this.pushHistory({
+                    label: 'Remove Background Image',
+                    undo: () => this.applyBackgroundImageState(previousFile),
+                    redo: () => this.applyBackgroundImageState(null)
+                });
+            });
+        }
+
+        // === BACKGROUND FIT ===
+        if (bgFit) {
+            bgFit.addEventListener('change', (e) => {
+                window.Chatooly.backgroundManager.setFit(e.target.value);
+                this.updateCanvasBackground();
+                console.log('🎨 Background fit mode:', e.target.value);
+            });
+        }
+
+        // Initialize default state and force initial render
+        console.log('🎨 Setting default background color...');
+        const defaultColor = bgColor ? bgColor.value : '#CCFD50';
+        window.Chatooly.backgroundManager.setBackgroundColor(defaultColor);
+        window.Chatooly.backgroundManager.setTransparent(transparentBg ? transparentBg.checked : false);
+
+        // CRITICAL FIX: Force initial background render to prevent black canvas
+        // This ensures the default background color is drawn immediately on load
+        this.updateCanvasBackground();
+
+        console.log('✅ Background controls initialized with Chatooly API');
+        console.log('✅ Initial background rendered with color:', defaultColor);
+    }
+    
+    async setBackgroundImageFile(file) {
+        console.log('🎨 Loading background image via Chatooly...');
+        await window.Chatooly.backgroundManager.setBackgroundImage(file);
+        this.backgroundImageFile = file; // Kept for project file export
+
+        // Show X button and fit dropdown
+        const clearBgImage = document.getElementById('clear-bg-image');
+        if (clearBgImage) clearBgImage.style.display = 'block';
+        if (document.getElementById('bg-fit-group')) {
+            document.getElementById('bg-fit-group').style.display = 'block';
+        }
+
+        this.updateCanvasBackground();
+        console.log('✅ Background image loaded successfully');
+    }
+
+    clearBackgroundImage() {
+        window.Chatooly.backgroundManager.clearBackgroundImage();
+        this.backgroundImageFile = null;
+
+        // Hide X button and fit dropdown
+        const clearBgImage = document.getElementById('clear-bg-image');
+        if (clearBgImage) clearBgImage.style.display = 'none';
+        if (document.getElementById('bg-fit-group')) {
+            document.getElementById('bg-fit-group').style.display = 'none';
+        }
+        const bgImage = document.getElementById('bg-image');
+        if (bgImage) bgImage.value = '';
+
+        this.updateCanvasBackground();
+        console.log('✅ Background image cleared');
+    }
+
+    applyBackgroundImageState(file) {
+        return file ? this.setBackgroundImageFile(file) : this.clearBackgroundImage();
+    }
+
+    // === SCENE STATE (project files and share links) ===
+
+    /**
+     * Snapshot everything needed to reproduce the current look
+     * Schema version 2; the model files and uploaded HDRIs are not included,
+     * objects holds the transform of each stage object in order
+     * @returns {Object}
+     */
+    getSceneState() {
+        const value = (id) => document.getElementById(id).value;
+        const checked = (id) => document.getElementById(id).checked;
+
+        return {
+            version: this.sceneStateVersion,
+            output: {
+                width: this.outputWidth,
+                height: this.outputHeight
+            },
+            objects: this.stageObjects.map(object => ({
+                name: object.name,
+                transform: this.getObjectTransform(object)
+            })),
+            camera: this.getCameraView(),
+            hdri: {
+                preset: value('hdri-preset'),
+                intensity: this.hdriIntensity,
+                rotation: this.hdriRotation,
+                backgroundVisible: this.hdriBackgroundVisible
+            },
+            sun: {
+                enabled: this.sunEnabled,
+                intensity: this.sunIntensity,
+                autoMatch: this.sunAutoMatch,
+                secondaryLights: this.secondaryLightsEnabled
+            },
+            shadows: {
+                quality: this.shadowQuality
+            },
+            toneMapping: {
+                mode: this.toneMapping,
+                exposure: this.exposure
+            },
+            effects: JSON.parse(JSON.stringify(this.postEffects)),
+            ground: {
+                enabled: this.groundEnabled,
+                opacity: this.groundShadowOpacity,
+                contactShadows: this.contactShadowsEnabled,
+                contactOpacity: this.contactShadowOpacity,
+                contactBlur: this.contactShadowBlur
+            },
+            background: {
+                transparent: checked('transparent-bg'),
+                color: value('bg-color'),
+                fit: value('bg-fit')
+            },
+            materials: {
+                look: this.materialLook
+            },
+            turntable: {
+                enabled: this.turntableEnabled,
+                degreesPerSecond: this.turntableSpeed,
+                axis: this.turntableAxis,
+                mode: this.turntableMode,
+                arc: this.turntableArc,
+                easing: this.turntableEasing,
+                target: this.turntableTarget
+            }
+        };
+    }
+
+    /**
+     * Set a control's value and fire its event so the regular handlers apply it
+     */
+    setControlValue(id, value) {
+        const element = document.getElementById(id);
+        if (!element || value === undefined || value === null) return;
+
+        if (element.type === 'checkbox') {
+            element.checked = !!value;
+        } else {
+            element.value = value;
+        }
+
+        const eventType = element.type === 'checkbox' || element.tagName === 'SELECT' ? 'change' : 'input';
+        element.dispatchEvent(new Event(eventType));
+    }
+
+    /**
+     * Bring an older scene state up to the current schema
+     * Version 1 stored a single transform (the only model at the time)
+     * @param {Object} state
+     * @returns {Object}
+     */
+    migrateSceneState(state) {
+        if (!state || typeof state !== 'object' || !(state.version >= 1 && state.version <= this.sceneStateVersion)) {
+            throw new Error(`Unsupported scene state version: ${state && state.version}`);
+        }
+
+        if (state.version === 1) {
+            const { transform, ...rest } = state;
+            state = { ...rest, version: 2, objects: transform ? [{ transform }] : [] };
+        }
+
+        return state;
+    }
+
+    /**
+     * Restore a scene state produced by getSceneState()
+     * Recorded as a single undo step
+     * @param {Object} state
+     */
+    async applySceneState(state) {
+        state = this.migrateSceneState(state);
+
+        const previousState = this.getSceneState();
+        this.historyLock++;
+        try {
+            await this.restoreSceneState(state);
+        } finally {
+            this.historyLock--;
+            this.syncHistoryControlValues();
+        }
+
+        this.pushHistory({
+            label: 'Load Scene State',
+            undo: () => this.restoreSceneState(previousState),
+            redo: () => this.restoreSceneState(state)
+        });
+    }
+
+    async restoreSceneState(state) {
+        console.log('📂 Restoring scene state...');
+
+        // Output size first so the camera view is applied at the saved aspect
+        if (state.output) {
+            this.applyOutputSize(state.output.width, state.output.height, { recordHistory: false });
+        }
+
+        // HDRI first: loading it re-derives the sun, which the saved sun settings then override
+        if (state.hdri) {
+            const presetSelect = document.getElementById('hdri-preset');
+            const hasPreset = Array.from(presetSelect.options).some(option => option.value === state.hdri.preset);
+
+            if (!hasPreset) {
+                console.warn(`⚠️ HDRI "${state.hdri.preset}" is not available (uploaded HDRIs are not saved), keeping current`);
+            } else if (presetSelect.value !== state.hdri.preset || !this.currentHDRI) {
+                presetSelect.value = state.hdri.preset;
+                await this.loadHDRI(state.hdri.preset);
+            }
+
+            this.setControlValue('hdri-intensity', state.hdri.intensity);
+            this.setControlValue('hdri-rotation', state.hdri.rotation);
+            this.setControlValue('hdri-background-visible', state.hdri.backgroundVisible);
+        }
+
+        if (state.sun) {
+            this.setControlValue('sun-enabled', state.sun.enabled);
+            this.setControlValue('sun-auto-match', state.sun.autoMatch);
+            this.setControlValue('sun-secondary-lights', state.sun.secondaryLights);
+            this.setControlValue('sun-intensity', state.sun.intensity);
+        }
+
+        if (state.shadows) {
+            this.setControlValue('shadow-quality', state.shadows.quality);
+        }
+
+        if (state.toneMapping) {
+            this.setControlValue('tone-mapping', state.toneMapping.mode);
+            this.setControlValue('exposure', state.toneMapping.exposure);
+        }
+
+        if (state.effects) {
+            Object.entries(this.postEffectControls).forEach(([id, [effect, setting]]) => {
+                this.setControlValue(id, state.effects[effect]?.[setting]);
+            });
+        }
+
+        if (state.ground) {
+            this.setControlValue('ground-enabled', state.ground.enabled);
+            this.setControlValue('ground-shadow-opacity', state.ground.opacity);
+            this.setControlValue('contact-shadows-enabled', state.ground.contactShadows);
+            this.setControlValue('contact-shadow-opacity', state.ground.contactOpacity);
+            this.setControlValue('contact-shadow-blur', state.ground.contactBlur);
+        }
+
+        if (state.materials) {
+            this.setControlValue('material-look', state.materials.look);
+        }
+
+        if (state.objects) {
+            // Transforms go to the stage objects in order; loading a model auto-scales it,
+            // so the rest are re-applied to the next loads
+            state.objects.forEach((saved, index) => {
+                const object = this.stageObjects[index];
+                if (object) this.applyTransformState(object, saved.transform);
+            });
+            this.pendingObjectTransforms = state.objects.slice(this.stageObjects.length).map(saved => saved.transform);
+        }
+
+        if (state.camera) {
+            this.applyCameraView(state.camera);
+        }
+
+        if (state.background) {
+            this.setControlValue('transparent-bg', state.background.transparent);
+            this.setControlValue('bg-color', state.background.color);
+            this.setControlValue('bg-fit', state.background.fit);
+
+            // Project files may embed the background image as a data URL; never fetch anything else
+            const image = state.background.image;
+            if (image && !(typeof image === 'string' && image.startsWith('data:'))) {
+                console.warn('⚠️ Background image is not an embedded data URL, ignoring it');
+            } else if (image) {
+                const blob = await (await fetch(image)).blob();
+                await this.setBackgroundImageFile(new File([blob], 'background', { type: blob.type }));
+            }
+        }
+
+        if (state.turntable) {
+            // Older files stored a per-frame multiplier (0.01 rad per frame at ~60 fps)
+            const degreesPerSecond = state.turntable.degreesPerSecond
+                ?? (state.turntable.speed !== undefined ? state.turntable.speed * 0.6 * 180 / Math.PI : undefined);
+
+            this.setControlValue('turntable-axis', state.turntable.axis);
+            this.setControlValue('turntable-mode', state.turntable.mode);
+            this.setControlValue('turntable-arc', state.turntable.arc);
+            this.setControlValue('turntable-easing', state.turntable.easing);
+            this.setControlValue('turntable-target', state.turntable.target);
+            this.setControlValue('turntable-speed', degreesPerSecond);
+            this.setControlValue('turntable-toggle', state.turntable.enabled);
+        }
+
+        console.log('✅ Scene state restored');
+    }
+
+    /**
+     * Apply a saved transform to a stage object
+     * Version 1 files stored the position without Z
+     */
+    applyTransformState(object, transform) {
+        this.setObjectTransform(object, {
+            scale: transform.scale,
+            position: [transform.position[0], transform.position[1], transform.position[2] ?? 0],
+            rotation: transform.rotation
         });
-        
-        // Window resize
-        window.addEventListener('resize', () => this.onWindowResize());
     }
 
-    // === CORE BACKGROUND UPDATE METHOD ===
-    // Single source of truth for managing canvas transparency and backgrounds
-    updateCanvasBackground() {
-        // Priority order:
-        // 1. HDRI background (if visible) - scene.background shows HDRI
-        // 2. Background image/color - rendered to background canvas via Chatooly API
-        // 3. Transparent mode - clear both canvases
+    /**
+     * Download the scene state as a JSON project file (includes the background image)
+     */
+    async exportSceneStateFile() {
+        const state = this.getSceneState();
+
+        if (this.backgroundImageFile) {
+            state.background.image = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(this.backgroundImageFile);
+            });
+        }
 
-        if (this.hdriBackgroundVisible && this.currentHDRI) {
-            // HDRI showing - use HDRI texture as Three.js background
-            this.scene.background = this.currentHDRI;
-            this.renderer.setClearColor(0x000000, 1);
-            this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-            this.renderer.toneMappingExposure = this.hdriIntensity;
+        const blob = new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, 'scene-state.json');
 
-            // Clear background canvas (HDRI is in Three.js layer)
-            this.clearBackgroundCanvas();
-            console.log('  ✓ Background mode: HDRI (Three.js layer)');
-        } else {
-            // Not showing HDRI - use transparent Three.js and render background via Chatooly
-            this.scene.background = null;
-            this.renderer.setClearColor(0x000000, 0);
-            this.renderer.toneMapping = THREE.NoToneMapping;
-            this.renderer.toneMappingExposure = 1.0;
+        console.log('💾 Scene state exported');
+    }
 
-            // Render background using Chatooly.backgroundManager
-            this.renderBackgroundLayer();
-            console.log('  ✓ Background mode: Chatooly layer (accurate colors)');
+    async importSceneStateFile(file) {
+        try {
+            await this.applySceneState(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('❌ Failed to import scene state:', error);
+            this.showError({
+                title: "Couldn't load project file",
+                file: file.name,
+                reason: this.classifyLoadError(error),
+                details: this.getErrorMessage(error),
+                retry: () => this.importSceneStateFile(file)
+            });
         }
     }
 
-    clearBackgroundCanvas() {
-        if (this.backgroundCtx) {
-            this.backgroundCtx.clearRect(0, 0, this.backgroundCanvas.width, this.backgroundCanvas.height);
-        }
+    /**
+     * Encode the scene state as URL-safe base64 for the "#scene=" hash
+     */
+    encodeSceneState(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
     }
 
-    renderBackgroundLayer() {
-        if (!window.Chatooly || !window.Chatooly.backgroundManager || !this.backgroundCtx) {
-            console.warn('⚠️ Chatooly.backgroundManager not available, using fallback');
-            // Fallback: draw default color
-            const bgColor = document.getElementById('bg-color');
-            const color = bgColor ? bgColor.value : '#CCFD50';
-            this.backgroundCtx.fillStyle = color;
-            this.backgroundCtx.fillRect(0, 0, this.backgroundCanvas.width, this.backgroundCanvas.height);
-            return;
-        }
+    decodeSceneState(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
 
-        // Use Chatooly.backgroundManager to draw background with accurate colors and fitting
-        window.Chatooly.backgroundManager.drawToCanvas(
-            this.backgroundCtx,
-            this.backgroundCanvas.width,
-            this.backgroundCanvas.height
-        );
+    /**
+     * Put the scene state in the URL hash and copy the link
+     */
+    async copySceneStateLink() {
+        const hash = '#scene=' + this.encodeSceneState(this.getSceneState());
+        history.replaceState(null, '', hash); // No hashchange event, state is already applied
+        const url = window.location.href;
+
+        try {
+            await navigator.clipboard.writeText(url);
+            console.log('🔗 Share link copied to clipboard');
+        } catch (error) {
+            console.warn('⚠️ Could not copy to clipboard, link is in the address bar:', error);
+        }
     }
-    
-    setupBackgroundControls() {
-        console.log('🔍 Initializing background controls with Chatooly.backgroundManager');
 
-        // Initialize Chatooly background manager
-        if (window.Chatooly && window.Chatooly.backgroundManager) {
-            window.Chatooly.backgroundManager.init(this.canvas);
-            console.log('✅ Chatooly.backgroundManager initialized');
-        } else {
-            console.error('❌ Chatooly.backgroundManager not available');
-            return;
+    async loadSceneStateFromHash() {
+        const match = window.location.hash.match(/^#scene=(.+)$/);
+        if (!match) return;
+
+        try {
+            await this.applySceneState(this.decodeSceneState(match[1]));
+        } catch (error) {
+            console.error('❌ Failed to restore scene from link:', error);
         }
+    }
 
-        // Get all control elements
-        const transparentBg = document.getElementById('transparent-bg');
-        const bgColor = document.getElementById('bg-color');
-        const bgImage = document.getElementById('bg-image');
-        const clearBgImage = document.getElementById('clear-bg-image');
-        const bgFit = document.getElementById('bg-fit');
+    setupProjectControls() {
+        const saveProject = document.getElementById('save-project');
+        const loadProject = document.getElementById('load-project');
+        const copyLink = document.getElementById('copy-share-link');
 
-        // === TRANSPARENT BACKGROUND TOGGLE ===
-        if (transparentBg) {
-            transparentBg.addEventListener('change', (e) => {
-                window.Chatooly.backgroundManager.setTransparent(e.target.checked);
-                // Hide color picker when transparent
-                const bgColorGroup = document.getElementById('bg-color-group');
-                if (bgColorGroup) {
-                    bgColorGroup.style.display = e.target.checked ? 'none' : 'block';
+        if (saveProject) {
+            saveProject.addEventListener('click', () => this.exportSceneStateFile());
+        }
+
+        if (loadProject) {
+            loadProject.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importSceneStateFile(file);
                 }
-                this.updateCanvasBackground();
-                console.log('🎨 Transparent background:', e.target.checked);
+                e.target.value = '';
             });
         }
 
-        // === BACKGROUND COLOR ===
-        if (bgColor) {
-            bgColor.addEventListener('input', (e) => {
-                window.Chatooly.backgroundManager.setBackgroundColor(e.target.value);
-                this.updateCanvasBackground();
-                console.log('🎨 Background color:', e.target.value);
-            });
+        if (copyLink) {
+            copyLink.addEventListener('click', () => this.copySceneStateLink());
         }
 
-        // === BACKGROUND IMAGE UPLOAD ===
-        if (bgImage) {
-            bgImage.addEventListener('change', async (e) => {
-                const file = e.target.files[0];
-                if (!file) return;
+        window.addEventListener('hashchange', () => this.loadSceneStateFromHash());
+    }
+    
+    /**
+     * Clone a clip with its tracks bound to one stage object's nodes by uuid
+     * Exporting from the stage root resolves tracks by node name, which would bind
+     * every copy's clip to the first object with that node name
+     * @param {THREE.AnimationClip} clip
+     * @param {Object} object - Stage object whose model the clip animates
+     * @returns {THREE.AnimationClip}
+     */
+    retargetClipToObject(clip, object) {
+        const retargeted = clip.clone();
+        retargeted.name = `${clip.name} (${object.name})`;
+
+        retargeted.tracks.forEach(track => {
+            const binding = THREE.PropertyBinding.parseTrackName(track.name);
+            const nodeName = binding.nodeName || '';
+            const node = THREE.PropertyBinding.findNode(object.model, nodeName);
+            if (!node) return;
+
+            const start = binding.directoryName ? binding.directoryName.length + 1 : 0;
+            track.name = node.uuid + track.name.slice(start + nodeName.length);
+        });
 
-                try {
-                    console.log('🎨 Loading background image via Chatooly...');
-                    await window.Chatooly.backgroundManager.setBackgroundImage(file);
+        return retargeted;
+    }
 
-                    // Show X button and fit dropdown
-                    if (clearBgImage) clearBgImage.style.display = 'block';
-                    if (document.getElementById('bg-fit-group')) {
-                        document.getElementById('bg-fit-group').style.display = 'block';
-                    }
+    /**
+     * Export the active object (or all stage objects) as GLB or glTF
+     * @param {Object} options
+     * @param {boolean} [options.binary=true] - .glb (otherwise .gltf with embedded buffers)
+     * @param {boolean} [options.bakeTransform=true] - Include centering, scale and rotation as the root node
+     * @param {boolean} [options.materialLook=true] - Export the active look instead of the original materials
+     * @param {boolean} [options.onlyVisible=true] - Leave out hidden nodes
+     * @param {boolean} [options.allObjects=false] - Export every object in its layout (transforms always included)
+     */
+    async exportModel({ binary = true, bakeTransform = true, materialLook = true, onlyVisible = true, allObjects = false } = {}) {
+        const objects = allObjects ? this.stageObjects : [this.activeObject].filter(Boolean);
+        if (objects.length === 0) {
+            console.warn('⚠️ No model to export');
+            return;
+        }
 
-                    this.updateCanvasBackground();
-                    console.log('✅ Background image loaded successfully');
-                } catch (error) {
-                    console.error('❌ Failed to load background image:', error);
-                    alert('Failed to load image: ' + error.message);
-                }
+        const baseName = allObjects ? 'scene' : this.activeObject.name.replace(/\.[^.]+$/, '');
+        const filename = `${baseName}.${binary ? 'glb' : 'gltf'}`;
+        const exporter = new window.GLTFExporter();
+
+        // Stage the scene graph as requested; GLTFExporter reads it synchronously,
+        // so everything is restored before the (asynchronous) encoding finishes
+        const modelPosition = this.currentModel.position.clone();
+        const turntableQuaternion = this.turntableQuaternion.clone();
+        const useOriginals = !materialLook && this.materialLook !== 'original';
+        let input = this.currentModel;
+
+        if (bakeTransform || allObjects) {
+            // The turntable spin isn't part of the staging
+            this.turntableQuaternion.identity();
+            this.applyModelRotation();
+            input = allObjects ? this.stage : this.modelContainer;
+        } else {
+            this.currentModel.position.copy(this.activeObject.originPosition);
+        }
+
+        if (useOriginals) {
+            objects.forEach(object => {
+                object.materialEntries.forEach(entry => this.assignEntryMaterial(entry, entry.material));
             });
         }
 
-        // === CLEAR BACKGROUND IMAGE ===
-        if (clearBgImage) {
-            clearBgImage.addEventListener('click', () => {
-                window.Chatooly.backgroundManager.clearBackgroundImage();
+        this.startLoadingTask('model-export', `Exporting ${filename}`);
 
-                // Hide X button and fit dropdown
-                clearBgImage.style.display = 'none';
-                if (document.getElementById('bg-fit-group')) {
-                    document.getElementById('bg-fit-group').style.display = 'none';
-                }
-                if (bgImage) bgImage.value = '';
+        let result;
+        try {
+            const parsing = exporter.parseAsync(input, {
+                binary,
+                onlyVisible,
+                animations: allObjects
+                    ? objects.flatMap(object => (object.model.animations || []).map(clip => this.retargetClipToObject(clip, object)))
+                    : this.activeObject.model.animations || []
+            });
 
-                this.updateCanvasBackground();
-                console.log('✅ Background image cleared');
+            this.currentModel.position.copy(modelPosition);
+            this.turntableQuaternion.copy(turntableQuaternion);
+            this.applyModelRotation();
+            if (useOriginals) {
+                objects.forEach(object => {
+                    object.materialEntries.forEach((entry, index) => this.assignEntryMaterial(entry, object.materialLookOverrides[index]));
+                });
+            }
+
+            result = await parsing;
+        } catch (error) {
+            console.error('❌ Model export failed:', error);
+            this.showError({
+                title: "Couldn't export model",
+                file: filename,
+                reason: 'Export error',
+                details: this.getErrorMessage(error),
+                retry: () => this.exportModel({ binary, bakeTransform, materialLook, onlyVisible, allObjects })
             });
+            return;
+        } finally {
+            this.finishLoadingTask('model-export');
         }
 
-        // === BACKGROUND FIT ===
-        if (bgFit) {
-            bgFit.addEventListener('change', (e) => {
-                window.Chatooly.backgroundManager.setFit(e.target.value);
-                this.updateCanvasBackground();
-                console.log('🎨 Background fit mode:', e.target.value);
+        const blob = binary
+            ? new Blob([result], { type: 'model/gltf-binary' })
+            : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+        this.downloadBlob(blob, filename);
+
+        console.log(`📦 Exported ${filename} (${this.formatBytes(blob.size)})`);
+    }
+
+    setupModelExportControls() {
+        const exportButton = document.getElementById('export-model');
+        if (!exportButton) return;
+
+        exportButton.addEventListener('click', () => {
+            this.exportModel({
+                binary: document.getElementById('model-export-format').value === 'glb',
+                bakeTransform: document.getElementById('export-bake-transform').checked,
+                materialLook: document.getElementById('export-material-look').checked,
+                onlyVisible: document.getElementById('export-visible-only').checked,
+                allObjects: document.getElementById('export-all-objects').checked
             });
+        });
+    }
+
+    // === UNDO / REDO HISTORY ===
+
+    getControlValue(id) {
+        const element = document.getElementById(id);
+        if (!element) return undefined;
+        return element.type === 'checkbox' ? element.checked : element.value;
+    }
+
+    /**
+     * Human-readable name for a control, taken from its <label>
+     */
+    getControlLabel(id) {
+        const element = document.getElementById(id);
+        const label = document.querySelector(`label[for="${id}"]`) || element.closest('label');
+        return label ? label.textContent.split(':')[0].trim() : id;
+    }
+
+    /**
+     * Record every tracked control; a slider drag ends with one 'change'
+     * event, so it becomes a single undo step
+     */
+    setupHistory() {
+        this.historyControls.forEach(id => {
+            const element = document.getElementById(id);
+            if (!element) return;
+
+            element.addEventListener('change', () => this.commitHistoryControl(id));
+        });
+        this.syncHistoryControlValues();
+
+        const undoButton = document.getElementById('undo-button');
+        const redoButton = document.getElementById('redo-button');
+        if (undoButton) undoButton.addEventListener('click', () => this.undo());
+        if (redoButton) redoButton.addEventListener('click', () => this.redo());
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), Ctrl+Y as an alternative redo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+
+            // Keep native undo in editable fields (sliders and checkboxes use the app history)
+            const target = e.target;
+            const editable = (target.tagName === 'INPUT' && target.type !== 'checkbox' && target.type !== 'range') ||
+                target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable;
+            if (editable) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Turn a control's change since its last committed value into an undo step
+     */
+    commitHistoryControl(id) {
+        const before = this.historyControlValues.get(id);
+        const after = this.getControlValue(id);
+        this.historyControlValues.set(id, after);
+
+        if (before === after || before === undefined) return;
+
+        this.pushHistory({
+            label: this.getControlLabel(id),
+            undo: () => this.setControlValue(id, before),
+            redo: () => this.setControlValue(id, after)
+        });
+    }
+
+    /**
+     * Take current control values as committed (after programmatic changes)
+     */
+    syncHistoryControlValues() {
+        this.historyControls.forEach(id => {
+            this.historyControlValues.set(id, this.getControlValue(id));
+        });
+    }
+
+    pushHistory(command) {
+        if (this.historyLock > 0) return;
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
         }
+        this.redoStack = [];
 
-        // Initialize default state and force initial render
-        console.log('🎨 Setting default background color...');
-        const defaultColor = bgColor ? bgColor.value : '#CCFD50';
-        window.Chatooly.backgroundManager.setBackgroundColor(defaultColor);
-        window.Chatooly.backgroundManager.setTransparent(transparentBg ? transparentBg.checked : false);
+        this.updateHistoryButtons();
+    }
 
-        // CRITICAL FIX: Force initial background render to prevent black canvas
-        // This ensures the default background color is drawn immediately on load
-        this.updateCanvasBackground();
+    async undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
 
-        console.log('✅ Background controls initialized with Chatooly API');
-        console.log('✅ Initial background rendered with color:', defaultColor);
+        console.log(`↩️ Undo: ${command.label}`);
+        await this.replayHistory(() => command.undo());
+        this.redoStack.push(command);
+        this.updateHistoryButtons();
+    }
+
+    async redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+
+        console.log(`↪️ Redo: ${command.label}`);
+        await this.replayHistory(() => command.redo());
+        this.undoStack.push(command);
+        this.updateHistoryButtons();
+    }
+
+    async replayHistory(action) {
+        this.historyLock++;
+        try {
+            await action();
+        } catch (error) {
+            console.error('❌ Failed to replay history step:', error);
+        } finally {
+            this.historyLock--;
+            this.syncHistoryControlValues();
+        }
+    }
+
+    updateHistoryButtons() {
+        const undoButton = document.getElementById('undo-button');
+        const redoButton = document.getElementById('redo-button');
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+
+        if (undoButton) {
+            undoButton.disabled = !lastUndo;
+            undoButton.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoButton) {
+            redoButton.disabled = !lastRedo;
+            redoButton.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
     }
     
     onCanvasResized(e) {
-        // Handle Chatooly canvas resize events
+        // Chatooly's aspect-ratio buttons resize the canvas; adopt the size it reports
         console.log('Chatooly resize event received:', e.detail);
 
-        // OVERRIDE: Force HD resolution (1920x1080) regardless of container size
-        // This ensures high-quality rendering and exports
-        this.canvas.width = 1920;
-        this.canvas.height = 1080;
+        const size = e.detail && e.detail.canvas;
+        if (size && size.width > 0 && size.height > 0) {
+            this.applyOutputSize(size.width, size.height, { recordHistory: false });
+        } else {
+            // Resizing clears the canvas dimensions; restore the current output size
+            this.applyOutputSize(this.outputWidth, this.outputHeight, { recordHistory: false });
+        }
+    }
+    
+    onWindowResize() {
+        // The output size doesn't depend on the window; keep the drawing buffer at it
+        this.applyOutputSize(this.outputWidth, this.outputHeight, { recordHistory: false });
+    }
+
+    /**
+     * Portrait outputs zoom out so the horizontal framing matches a square,
+     * keeping models that fit the landscape view inside the frame
+     */
+    getCameraZoomForAspect(aspect) {
+        return Math.min(1, aspect);
+    }
+
+    /**
+     * Resize the output: canvas, background layer, camera aspect and render targets
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} [options]
+     * @param {boolean} [options.recordHistory=true] - Add an undo step when the size changes
+     */
+    applyOutputSize(width, height, { recordHistory = true } = {}) {
+        width = THREE.MathUtils.clamp(Math.round(width), 16, this.maxOutputSize);
+        height = THREE.MathUtils.clamp(Math.round(height), 16, this.maxOutputSize);
+
+        const previous = { width: this.outputWidth, height: this.outputHeight };
+        this.outputWidth = width;
+        this.outputHeight = height;
+
+        this.canvas.width = width;
+        this.canvas.height = height;
 
         // Update background canvas to match
         if (this.backgroundCanvas) {
-            this.backgroundCanvas.width = 1920;
-            this.backgroundCanvas.height = 1080;
+            this.backgroundCanvas.width = width;
+            this.backgroundCanvas.height = height;
         }
 
-        // Update camera aspect ratio for 16:9
-        this.camera.aspect = 1920 / 1080;
+        const aspect = width / height;
+        this.camera.aspect = aspect;
+        this.camera.zoom = this.getCameraZoomForAspect(aspect);
         this.camera.updateProjectionMatrix();
 
-        // Update renderer size to HD resolution
-        this.renderer.setSize(1920, 1080, false);
+        this.setRenderSize(width, height);
 
         // Redraw background at new size
         this.updateCanvasBackground();
+        this.updateOutputSizeControls();
 
-        console.log('Canvas forced to Full HD: 1920x1080 (aspect: 16:9)');
+        const changed = previous.width !== width || previous.height !== height;
+        if (changed) {
+            console.log(`📐 Output size: ${width}x${height} (aspect ${aspect.toFixed(3)})`);
+        }
+        if (changed && recordHistory) {
+            this.pushHistory({
+                label: `Output Size ${width}x${height}`,
+                undo: () => this.applyOutputSize(previous.width, previous.height, { recordHistory: false }),
+                redo: () => this.applyOutputSize(width, height, { recordHistory: false })
+            });
+        }
     }
-    
-    onWindowResize() {
-        // Handle window resize events
-        // Force HD resolution even on window resize
-        this.canvas.width = 1920;
-        this.canvas.height = 1080;
 
-        // Update background canvas to match
-        if (this.backgroundCanvas) {
-            this.backgroundCanvas.width = 1920;
-            this.backgroundCanvas.height = 1080;
-        }
+    updateOutputSizeControls() {
+        const select = document.getElementById('output-size');
+        if (!select) return;
 
-        this.camera.aspect = 1920 / 1080;
-        this.camera.updateProjectionMatrix();
+        const preset = Object.keys(this.outputSizePresets).find(key => {
+            const size = this.outputSizePresets[key];
+            return size.width === this.outputWidth && size.height === this.outputHeight;
+        });
+        select.value = preset || 'custom';
+        document.getElementById('output-width').value = this.outputWidth;
+        document.getElementById('output-height').value = this.outputHeight;
+    }
 
-        this.renderer.setSize(1920, 1080, false);
+    setupOutputSizeControls() {
+        const select = document.getElementById('output-size');
+        const widthInput = document.getElementById('output-width');
+        const heightInput = document.getElementById('output-height');
+        if (!select) return;
 
-        // Redraw background at new size
-        this.updateCanvasBackground();
+        select.addEventListener('change', (e) => {
+            const preset = this.outputSizePresets[e.target.value];
+            if (preset) {
+                this.applyOutputSize(preset.width, preset.height);
+            }
+        });
+
+        const applyCustomSize = () => {
+            const width = parseInt(widthInput.value);
+            const height = parseInt(heightInput.value);
+            if (width > 0 && height > 0) {
+                this.applyOutputSize(width, height);
+            } else {
+                this.updateOutputSizeControls();
+            }
+        };
+        widthInput.addEventListener('change', applyCustomSize);
+        heightInput.addEventListener('change', applyCustomSize);
 
-        console.log('Window resized - canvas maintained at Full HD: 1920x1080');
+        this.updateOutputSizeControls();
     }
     
     animate() {
         this.animationFrameId = requestAnimationFrame(() => this.animate());
+
+        // Seconds since last frame (time-based playback, independent of refresh rate)
+        const delta = this.clock.getDelta();
+
+        // Loop export poses and renders every frame itself
+        if (this.loopExport) return;
+
+        // Embedded clip playback (every object plays its own clip)
+        let clipsPlaying = false;
+        this.stageObjects.forEach(object => {
+            if (object.animation && object.animation.playing) {
+                object.animation.mixer.update(delta);
+                clipsPlaying = true;
+            }
+        });
+        if (this.animationPlaying) this.updateAnimationUI();
+
+        // Playing clips move the bounds; re-fit the ground a few times per second
+        if (clipsPlaying) {
+            this.groundAnimationTimer += delta;
+            if (this.groundAnimationTimer >= this.groundAnimationInterval) {
+                this.groundAnimationTimer = 0;
+                this.groundNeedsUpdate = true;
+            }
+        }
         
-        // Turntable animation (world-space Y-axis rotation)
-        if (this.turntableEnabled && this.currentModel) {
-            // Rotate around world Y-axis
-            this.modelContainer.rotateOnWorldAxis(new THREE.Vector3(0, 1, 0), 0.01 * this.turntableSpeed);
-            
-            // Update the Y rotation slider to reflect current rotation
-            const currentRotY = this.modelContainer.rotation.y * 180 / Math.PI;
-            const normalizedRotY = ((currentRotY % 360) + 360) % 360;
-            document.getElementById('rotation-y').value = normalizedRotY;
-            document.getElementById('rotation-y-value').textContent = normalizedRotY.toFixed(0) + '°';
+        // Turntable (time-based; the rotation sliders keep the user's base rotation)
+        if (this.turntableEnabled && this.stageObjects.length > 0) {
+            this.updateTurntable(delta);
+        }
+
+        // Damped orbit controls need an update every frame
+        if (this.controls) {
+            this.controls.update();
+        }
+
+        if (this.groundNeedsUpdate) {
+            this.updateGroundPlacement();
+        }
+
+        // Selection box follows turntable, transforms and animation
+        if (this.selectionHelper) {
+            this.selectionHelper.update();
         }
         
         this.render();
@@ -1145,7 +6499,41 @@ class ModelViewer {
         }
 
         // Render Three.js scene with transparency
-        this.renderer.render(this.scene, this.camera);
+        this.renderScene();
+    }
+
+    /**
+     * Render the 3D scene (without the background layer) at the current render size
+     * Shared by the live loop and exports
+     * @param {Object} [options]
+     * @param {boolean} [options.contactShadows=true] - Re-render contact shadows (tiles reuse the first tile's)
+     * @param {boolean} [options.postProcessing] - Render through the composer (exports always do)
+     * @param {boolean} [options.renderToScreen=true] - false leaves the composer output in composer.readBuffer
+     */
+    renderScene({ contactShadows = true, postProcessing = this.postProcessingActive, renderToScreen = true } = {}) {
+        // Contact shadows follow turntable rotation and animation
+        if (contactShadows && this.groundGroup.visible && this.contactShadowsEnabled) {
+            this.renderContactShadows();
+        }
+
+        // Diagnostic materials are swapped in for this render only
+        const restoreMaterials = this.renderMode !== 'shaded' && this.stageObjects.length > 0
+            ? this.applyRenderMode()
+            : null;
+
+        try {
+            if (postProcessing) {
+                this.updatePostEffectFrame();
+                // Off screen, the result stays in composer.readBuffer
+                this.composer.renderToScreen = renderToScreen;
+                this.composer.render();
+                this.composer.renderToScreen = true;
+            } else {
+                this.renderer.render(this.scene, this.camera);
+            }
+        } finally {
+            if (restoreMaterials) restoreMaterials();
+        }
     }
     
     dispose() {
@@ -1155,6 +6543,27 @@ class ModelViewer {
         }
         
         this.clearModel();
+        Object.values(this.customHDRIs).forEach(hdri => URL.revokeObjectURL(hdri.url));
+        this.controls.dispose();
+        this.dracoLoader.dispose();
+        this.ktx2Loader.dispose();
+        this.contactShadowTarget.dispose();
+        this.contactShadowBlurTarget.dispose();
+        Object.values(this.postPasses).forEach(pass => pass.dispose());
+        if (this.composer) {
+            this.outputPass.dispose();
+            this.unpremultiplyPass.dispose();
+            this.premultiplyPass.dispose();
+            this.composer.dispose();
+        }
+        if (this.accumulationTarget) {
+            this.accumulationTarget.dispose();
+            this.accumulationQuad.dispose();
+        }
+        this.wireframeMaterial?.dispose();
+        this.overdrawMaterial?.dispose();
+        this.uvCheckerTexture?.dispose();
+        this.matcapTexture?.dispose();
         this.renderer.dispose();
         this.pmremGenerator.dispose();
         
@@ -1176,12 +6585,13 @@ window.renderHighResolution = function(targetCanvas, scale) {
         return;
     }
 
-    const originalWidth = viewer.canvas.width;
-    const originalHeight = viewer.canvas.height;
+    // Output size (the canvas itself is larger on high-DPI screens)
+    const originalWidth = viewer.outputWidth;
+    const originalHeight = viewer.outputHeight;
 
     // Set high-resolution size
-    const scaledWidth = originalWidth * scale;
-    const scaledHeight = originalHeight * scale;
+    const scaledWidth = Math.round(originalWidth * scale);
+    const scaledHeight = Math.round(originalHeight * scale);
 
     // Setup target canvas
     const ctx = targetCanvas.getContext('2d');
@@ -1191,22 +6601,18 @@ window.renderHighResolution = function(targetCanvas, scale) {
     ctx.scale(scale, scale);
 
     // STEP 1: Draw background FIRST using Chatooly.backgroundManager
-    if (window.Chatooly && window.Chatooly.backgroundManager && !viewer.hdriBackgroundVisible) {
+    // (a visible HDRI is part of the Three.js render instead)
+    const hdriBackground = viewer.hdriBackgroundVisible && viewer.currentHDRI;
+    if (window.Chatooly && window.Chatooly.backgroundManager && !hdriBackground) {
         window.Chatooly.backgroundManager.drawToCanvas(ctx, originalWidth, originalHeight);
         console.log('  ✓ Background rendered to export canvas');
     }
 
     ctx.restore();
 
-    // STEP 2: Render Three.js scene at high resolution
-    viewer.renderer.setSize(scaledWidth, scaledHeight, false);
-    viewer.renderer.render(viewer.scene, viewer.camera);
-
-    // STEP 3: Composite Three.js render on top of background
-    ctx.drawImage(viewer.canvas, 0, 0, scaledWidth, scaledHeight);
-
-    // Restore original size
-    viewer.renderer.setSize(originalWidth, originalHeight, false);
+    // STEP 2: Render Three.js scene at high resolution (same pipeline as the live view)
+    // and composite it on top of the background, tiled beyond the GPU's size limit
+    viewer.renderSceneToContext(ctx, scaledWidth, scaledHeight);
 
     console.log(`High-res export completed at ${scale}x resolution (${scaledWidth}x${scaledHeight})`);
 };
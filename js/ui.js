@@ -17,10 +17,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // List of all collapsible sections
     const sections = [
         { header: 'model-header', content: 'model-section' },
+        { header: 'objects-header', content: 'objects-section' },
+        { header: 'scene-graph-header', content: 'scene-graph-section' },
+        { header: 'materials-header', content: 'materials-section' },
+        { header: 'stats-header', content: 'stats-section' },
         { header: 'transform-header', content: 'transform-section' },
+        { header: 'camera-header', content: 'camera-section' },
         { header: 'hdri-header', content: 'hdri-section' },
+        { header: 'effects-header', content: 'effects-section' },
         { header: 'animation-header', content: 'animation-section' },
-        { header: 'background-header', content: 'background-section' }
+        { header: 'background-header', content: 'background-section' },
+        { header: 'project-header', content: 'project-section' }
     ];
 
     // Setup each section